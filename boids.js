@@ -0,0 +1,5983 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
+import Stats from 'three/addons/libs/stats.module.js';
+import { deflateSync, inflateSync, Zip, ZipPassThrough } from 'three/addons/libs/fflate.module.js';
+
+// --- Configuration ---
+const DEFAULT_FLOCK_SIZE = 128 * 128;
+const MAX_FLOCK_SIZE = 512 * 512; // Boids live one per texel of the simulation textures
+const BOUNDS = 800; // Initial simulation area size (adjustable at runtime via PARAMS.bounds)
+const BOUNDS_HALF = BOUNDS / 2;
+
+// Obstacle shapes (type ids used by the compute shaders)
+const OBSTACLE_TYPES = { sphere: 0, box: 1, capsule: 2 };
+
+// Food markers fade from full to empty as they are eaten
+const FOOD_COLOR_FULL = new THREE.Color(0x40ff40);
+const FOOD_COLOR_EMPTY = new THREE.Color(0x604020);
+
+// How predators pick their prey (PARAMS.predatorStrategy)
+const PREDATOR_STRATEGIES = { 'Nearest Boid': 'nearest', 'Densest Cluster': 'densest', 'Isolated Stragglers': 'straggler' };
+
+// Pointer tools (PARAMS.pointerTool) and the force each one applies (pointerMode uniform)
+const POINTER_TOOLS = { 'Orbit Camera': 'orbit', 'Repulsor (hold)': 'repulsor', 'Drop Food (click)': 'food', 'Wind Gust (drag)': 'gust', 'Herd Brush (drag)': 'herd', 'Add Waypoint (click)': 'waypoint', 'Inspect Boid (click)': 'inspect' };
+const POINTER_MODES = { none: 0, repulsor: 1, gust: 2, herd: 3 };
+
+// Paths are Catmull-Rom splines through PARAMS.pathPoints, resampled to this many evenly
+// spaced points for the velocity pass
+const PATH_SAMPLES = 64;
+const PATH_COLOR = 0xffaa33;
+
+// Camera modes. Free is plain OrbitControls; the centroid and cluster modes keep
+// OrbitControls but move its target with the flock; the rest drive the camera.
+const CAMERA_MODES = {
+    'Free Orbit': 'free',
+    'Chase Boid': 'chase',
+    'First Person': 'firstPerson',
+    'Flock Centroid': 'centroid',
+    'Largest Cluster': 'cluster',
+    'Cinematic Orbit': 'cinematic',
+    'Dolly Along Path': 'dolly'
+};
+
+// Wind and flow fields
+const MAX_VORTICES = 4;
+const VORTEX_AXES = { 'X': 'x', 'Y (vertical)': 'y', 'Z': 'z' };
+const FLOW_SLICE_AXES = { 'X': 0, 'Y': 1, 'Z': 2 }; // Normal of the debug arrow plane
+const FLOW_ARROW_GRID = 24; // Arrows per side of the debug plane
+
+// Bird colouring (values of the birdColorMode uniform) and the colour maps for the scalar modes
+const COLOR_MODES = { 'Species': 0, 'Solid Colour': 1, 'Speed': 2, 'Heading': 3, 'Local Density': 4, 'Nearest Predator': 5, 'Energy': 6 };
+const COLOR_MAPS = { 'Viridis': 'viridis', 'Magma': 'magma', 'Custom Gradient': 'custom' };
+const COLOR_MAP_STOPS = 9; // Evenly spaced colours each map is interpolated from
+const COLOR_MAP_PRESETS = {
+    viridis: ['#440154', '#472c7a', '#3b518b', '#2c718e', '#21908d', '#27ad81', '#5cc863', '#aadc32', '#fde725'],
+    magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf']
+};
+
+// Motion trails: a ring buffer of the last TRAIL_MAX_LENGTH positions of up to
+// TRAIL_TEXTURE_SIZE^2 boids, one layer of an array render target per simulation step
+const TRAIL_MAX_LENGTH = 64;
+const TRAIL_TEXTURE_SIZE = 128;
+
+// Topological neighbourhoods: alignment and cohesion with the k nearest boids (k up to this)
+const MAX_TOPOLOGICAL_K = 16;
+const TOPOLOGICAL_MAX_RING = 3; // Grid cells out the search may widen to while fewer than k are found
+const NEIGHBOR_RULES = { 'Metric (radii)': 'metric', 'Topological (k nearest)': 'topological' };
+
+// Force inspector: the motion components the DEBUG_FORCES variant of the velocity pass
+// writes out for the inspected boid, one texel each, then its new velocity, neighbour
+// counts and (topological mode) nearest neighbours
+const DEBUG_FORCES = [
+    { key: 'separation', label: 'Separation', color: '#ff5555' },
+    { key: 'alignment', label: 'Alignment', color: '#55ff55' },
+    { key: 'cohesion', label: 'Cohesion', color: '#5599ff' },
+    { key: 'avoidance', label: 'Species Avoidance', color: '#ff55ff' },
+    { key: 'food', label: 'Food', color: '#ffdd33' },
+    { key: 'predator', label: 'Predators', color: '#ff8800' },
+    { key: 'path', label: 'Path', color: '#ffaa33' },
+    { key: 'random', label: 'Random', color: '#999999' },
+    { key: 'pointer', label: 'Pointer Tools', color: '#66aaff' },
+    { key: 'obstacle', label: 'Obstacles', color: '#aa7744' },
+    { key: 'walls', label: 'Walls', color: '#cccccc' },
+    { key: 'flow', label: 'Wind & Flow', color: '#88ffee' },
+    { key: 'total', label: 'Total Steering', color: '#ffffff' }
+];
+const DEBUG_SLOTS = Object.fromEntries([...DEBUG_FORCES.map(force => force.key), 'velocity', 'neighbors', 'nearest'].map((key, i) => [key, i]));
+const DEBUG_TEXELS = DEBUG_SLOTS.nearest + MAX_TOPOLOGICAL_K / 4; // The nearest boid indices take four per texel
+const INSPECT_PICK_ANGLE = 0.03;  // Radians from the pointer ray within which a click picks a boid
+const INSPECT_HIGHLIGHT = 0xffffff; // Colour of the inspected boid
+const INSPECT_NEIGHBOR_HIGHLIGHT = 0x00e5ff; // and of the boids within its interaction radius
+
+// Position integration schemes (values of the integrator uniform)
+const INTEGRATORS = { 'Explicit Euler': 0, 'Semi-Implicit Euler': 1, 'Verlet': 2 };
+const MAX_STEPS_PER_FRAME = 16; // Simulation steps one frame may run to catch up; later time is dropped (see timing)
+
+// Boundary behaviours (values of the boundaryMode uniform)
+const BOUNDARY_MODES = { 'Wrap (toroidal)': 0, 'Soft Walls': 1, 'Reflect': 2, 'Spherical Arena': 3, 'Cylindrical Arena': 4 };
+
+const MAX_FOOD = 30;       // Max number of food sources
+const MAX_PREDATORS = 16;  // Max number of predators
+const MAX_OBSTACLES = 16;  // Max number of obstacles passed to the compute passes
+const MAX_SPECIES = 4;     // Max number of species (id stored in the position texture's w)
+const MAX_KILLS = 16;      // Max boids predators can kill in one simulation step
+const RECORDING_MAGIC = 'BOID';         // First four bytes of a recording file
+const RECORDING_VERSION = 2;             // 2 added RECORD_DEAD species ids
+const RECORD_KEYFRAME_INTERVAL = 30;     // Every Nth recorded frame is stored whole rather than as a delta
+const RECORD_SOURCE_STRIDE = 8;          // Floats per food source / predator in a recorded frame
+const RECORD_DEAD = 255;                 // Species id recorded for dead boids
+const EXPORT_FORMATS = { 'CSV': 'csv', 'JSON Lines': 'jsonl', 'NumPy (.npy)': 'npy' };
+const EXPORT_COLUMNS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'species']; // Per-boid values in every export
+const CLIP_FORMATS = { 'PNG Sequence (zip)': 'png', 'WebM Video': 'webm' };
+const CLIP_KEYFRAME_INTERVAL = 2; // Seconds between forced keyframes in WebM clips (each starts a cluster)
+const METRICS = [ // Shown in the metrics overlay, in this order
+    { key: 'polarization', label: 'Polarisation', digits: 3 },
+    { key: 'milling', label: 'Milling', digits: 3 },
+    { key: 'meanSpeed', label: 'Mean Speed', digits: 1 },
+    { key: 'nearestNeighbor', label: 'NN Distance', digits: 2 },
+    { key: 'extent', label: 'Extent (Rg)', digits: 1 },
+    { key: 'clusters', label: 'Clusters', digits: 0 },
+    { key: 'population', label: 'Population', digits: 0 },
+    { key: 'gridOverflow', label: 'Grid Overflow', digits: 3 }
+];
+const METRICS_HISTORY = 120;       // Samples kept for each sparkline
+const METRICS_NN_SAMPLES = 512;    // Boids sampled for the nearest-neighbour distance
+const METRICS_FRAME_BUDGET = 3;    // Milliseconds per frame spent computing metrics
+const FOOD_MEASURE_INTERVAL = 0.25; // Seconds of simulated time between counts of boids at each food
+
+// Spatial grid used for neighbour search
+const GRID_MAX_CELLS_PER_AXIS = 32; // Upper bound on grid resolution (32^3 cells)
+const GRID_TEXTURE_WIDTH = 256;     // Cell range texture width (height derived from the cell count)
+const GRID_TEXTURE_HEIGHT = Math.ceil(GRID_MAX_CELLS_PER_AXIS ** 3 / GRID_TEXTURE_WIDTH);
+const GRID_MAX_PER_CELL = 256;      // Upper bound on PARAMS.gridCellCap
+
+const BirdGeometry = new THREE.ConeGeometry(1, 4, 6); // Simple bird shape
+BirdGeometry.rotateX(Math.PI / 2); // Point the cone forward
+
+// --- Boid Simulation Parameters (will be adjustable via GUI) ---
+const DEFAULT_PARAMS = {
+    separationDistance: 10.0,
+    alignmentDistance: 40.0,
+    cohesionDistance: 40.0,
+    freedomFactor: 0.01,
+    neighborSearch: 'grid', // 'grid' (exact, spatial binning) or 'sampled' (fast/approximate)
+    gridCellCap: 64,       // Max boids visited per neighbouring cell; fuller cells are sampled
+    viewAngle: 360,        // Degrees of the forward cone a boid perceives neighbours in
+    neighborRule: 'metric', // See NEIGHBOR_RULES
+    topologicalK: 7,       // Nearest neighbours followed in topological mode (starlings: about 7)
+    // predator: new THREE.Vector3(), // REMOVE (replaced by arrays)
+    // hasPredator: false,          // REMOVE
+
+    // Weights
+    separationWeight: 0.4,
+    alignmentWeight: 4.0,
+    cohesionWeight: 5.0,
+    predatorWeight: 0.1,   // Weight for automatic predators
+    foodWeight: 1.0,       // Weight for food attraction
+
+    // Influence Radii
+    predatorRadius: 70.0,  // Radius within which predators repel
+    foodRadius: 150.0,      // Radius within which food attracts
+    foodOrbitSpeed: 0.2, // Base speed factor for food orbits
+
+    // Foraging
+    foodDepletion: true,   // Food is eaten, runs out and regrows elsewhere
+    foodCapacity: 100.0,   // Amount in a fresh food source
+    eatRadius: 20.0,       // Boids this close to food are eating it
+    eatRate: 0.05,         // Amount each eating boid consumes per second
+    foodRegrowDelay: 10.0, // Seconds before depleted food reappears somewhere else
+
+    // Life cycle (energy in the velocity texture's w; a full boid has 1)
+    lifeCycle: false,       // Boids spend energy, starve, get eaten and breed (off revives the dead)
+    energyDrain: 0.01,      // Energy lost per second at rest
+    energySpeedDrain: 0.03, // Extra energy lost per second at full speed
+    feedRate: 0.2,          // Energy gained per second within eatRadius of food
+    birthEnergy: 0.7,       // Energy a boid needs to breed
+    birthRate: 0.2,         // Chance per second that a well-fed boid breeds into a free slot
+
+    // Boundaries
+    bounds: BOUNDS,        // Side of the simulation cube (arenas are inscribed in it)
+    boundaryMode: BOUNDARY_MODES['Wrap (toroidal)'],
+    wallMargin: 60.0,      // Distance from a wall at which boids start turning away
+    wallWeight: 2.0,       // Weight of the wall avoidance steering
+
+    // Wind and flow fields: a drift on top of the boids' own steering
+    flowStrength: 1.0,     // Multiplies everything below
+    windSpeed: 0.0,
+    windAzimuth: 0.0,      // Degrees around the vertical; 0 blows towards +X
+    windElevation: 0.0,    // Degrees above the horizontal
+    vortexCount: 0,
+    vortices: [            // Spin about an axis through (x, y, z); strength is the speed at the core radius
+        { x: -200, y: 0, z: 0, axis: 'y', radius: 80.0, strength: 60.0 },
+        { x: 200, y: 0, z: 0, axis: 'y', radius: 80.0, strength: -60.0 },
+        { x: 0, y: 0, z: -200, axis: 'x', radius: 80.0, strength: 60.0 },
+        { x: 0, y: 0, z: 200, axis: 'z', radius: 80.0, strength: 60.0 }
+    ],
+    turbulenceStrength: 0.0,
+    turbulenceScale: 200.0,    // World size of the turbulent eddies
+    turbulenceEvolution: 0.2,  // How fast the turbulence changes
+    bakedFieldStrength: 1.0,   // For a field loaded from a file
+    showFlowField: false,      // Arrows on a slice through the arena
+    flowSliceAxis: FLOW_SLICE_AXES['Y'],
+    flowSliceOffset: 0.0,      // Position of the slice along its axis, as a fraction of the bounds
+
+    // Obstacles
+    obstacleWeight: 6.0,     // Weight of the obstacle avoidance steering
+    obstacleLookAhead: 60.0, // How far ahead boids look for obstacles
+
+    // Predators (hunting agents)
+    predatorCount: 6,
+    predatorSpeed: 110.0,
+    predatorTurnRate: 2.5,      // Radians per second
+    predatorStrategy: 'nearest', // See PREDATOR_STRATEGIES
+    catchRadius: 6.0,
+    predatorRestTime: 3.0,      // Seconds a predator cruises after a catch
+    predatorGiveUpTime: 15.0,   // Seconds before abandoning a chase for a new target
+    predatorSenseInterval: 0.1, // Seconds between looks at the flock (each one is a CPU readback)
+
+    // Pointer tools
+    pointerTool: 'orbit',  // See POINTER_TOOLS
+    toolRadius: 80.0,      // Reach of the repulsor, gust and herd brush
+    repulsorWeight: 8.0,
+    gustStrength: 2.0,
+    gustDuration: 3.0,     // Seconds for a gust to die down
+    herdWeight: 3.0,
+    inspectArrowScale: 0.5, // Length of the inspector's force arrows per unit of force
+
+    // Path following and leaders
+    pathPoints: [],        // Waypoints as [x, y, z]; two or more make a path
+    pathClosed: true,      // Loop back from the last waypoint to the first
+    pathWeight: 2.0,
+    pathLookAhead: 40.0,   // How far along the path past its nearest point a boid seeks
+    pathShare: 1.0,        // Fraction of the non-leader boids that follow the path
+    showPath: true,
+    leaderCount: 0,        // Boids 0..leaderCount-1 lead: they always follow the path
+    leaderAlignment: 5.0,  // How much more the others align with a leader than with anyone else
+    leaderColor: '#ffd040',
+
+    // Limits
+    maxSpeed: 100.0,
+    maxSteerForce: 25,
+
+    // Species (each one scales the shared settings above)
+    speciesCount: 1,
+    speciesAvoidWeight: 3.0, // Weight of the steering away from species that are avoided
+    species: [
+        { share: 1.0, speed: 1.0, separation: 1.0, alignment: 1.0, cohesion: 1.0, radius: 1.0, scale: 1.0, color: '#ffffff' },
+        { share: 1.0, speed: 1.2, separation: 1.0, alignment: 1.0, cohesion: 1.0, radius: 1.0, scale: 0.8, color: '#ff9933' },
+        { share: 1.0, speed: 0.8, separation: 1.0, alignment: 1.0, cohesion: 1.0, radius: 1.0, scale: 1.4, color: '#33ccff' },
+        { share: 1.0, speed: 1.0, separation: 1.0, alignment: 1.0, cohesion: 1.0, radius: 1.0, scale: 1.0, color: '#ff44cc' }
+    ],
+    speciesInteraction: [ // [self][other]: > 0 follow (flock with), 0 ignore, < 0 avoid; separation always applies
+        [1, 0, 0, 0],
+        [0, 1, 0, 0],
+        [0, 0, 1, 0],
+        [0, 0, 0, 1]
+    ],
+
+    // Visuals & Simulation... (keep existing)
+    birdScale: 1.2,
+    bloomThreshold: 0.3,
+    bloomStrength: 0.6,
+    bloomRadius: 0.1,
+    fogColor: '#050510',
+    fogDensity: 0.00001,
+    showFood: true,        // Show the food markers, which shrink and darken as they're eaten
+    showSources: false,    // Show the predator markers
+    colorMode: COLOR_MODES['Species'],
+    colorMap: 'viridis',   // See COLOR_MAPS
+    gradientColors: ['#1a2a6c', '#b21f1f', '#fdbb2d'], // Low, middle and high ends of the custom gradient
+    solidColor: '#ffffff',
+    densityRange: 40,      // Nearby boids at the top of the colour map in Local Density mode
+    colorEmissive: 0.3,    // How much each bird glows in its own colour (picked up by bloom)
+    showLegend: true,
+    showTrails: false,
+    trailLength: 24,       // Simulation steps each trail reaches back, up to TRAIL_MAX_LENGTH
+    trailWidth: 1.5,
+    trailFade: 1.5,        // Higher fades the tails out sooner
+    trailFraction: 0.25,   // Share of the flock that leaves trails (at most TRAIL_TEXTURE_SIZE^2 boids)
+    trailGlow: 1.0,        // Brightness of the trails (additive, so bright ones bloom)
+    cameraMode: 'free',    // See CAMERA_MODES
+    cameraBoid: 0,         // Boid followed by the chase and first person cameras
+    chaseDistance: 60,     // How far behind the boid the chase camera sits
+    cameraSmoothing: 0.25, // Seconds for the camera to catch up with what it follows
+    cameraTransition: 1.5, // Seconds to ease from one camera mode to the next
+    cinematicRadius: 500,
+    cinematicSpeed: 0.08,  // Radians per second
+    cameraPathPoints: [],  // Dolly path through [x, y, z] points, a closed loop once there are two
+    cameraPathDuration: 30, // Seconds per lap of the dolly path
+    timeScale: 1.0,
+    seed: 0,             // Seeds all random initial state and respawns (set per simulation, see createBoids)
+    flockSize: DEFAULT_FLOCK_SIZE,
+    keepBoidsOnResize: true, // Growing/shrinking keeps the existing boids instead of re-randomising all
+    fixedTimestep: false, // Feed the simulation 1/60 s per frame instead of the wall-clock delta
+    simulationRate: 60,   // Simulation steps per second of simulated time, independent of the display
+    substeps: 1,          // Compute passes per step, each advancing 1/substeps of it
+    integrator: INTEGRATORS['Explicit Euler'],
+    interpolate: true,    // Draw the boids between the last two steps so motion stays smooth
+    readbackInterval: 0.5, // Min seconds between CPU readbacks of the flock (see getFlockState)
+    showStats: false,
+    recordRate: 15,  // Recorded frames per second of simulated time
+    replaySpeed: 1.0,
+    exportFormat: 'csv',   // See EXPORT_FORMATS
+    exportIndices: '',     // Boids to export, e.g. "0-99, 512"; empty for all
+    exportDuration: 10.0,  // Seconds of simulated time in a time-window export
+    exportInterval: 0.1,   // Seconds between samples in a time-window export
+    showMetrics: false,
+    metricsInterval: 0.5,  // Seconds between metric updates (each one is a CPU readback)
+    clipFormat: 'png',     // See CLIP_FORMATS
+    clipWidth: 1920,       // Output resolution, independent of the container
+    clipHeight: 1080,
+    clipFps: 30,           // Each output frame advances the simulation by exactly 1/clipFps s
+    clipDuration: 10.0,    // Seconds of output
+    clipBitrate: 20,       // Mbit/s for WebM
+    clipFromStart: true,   // Restart from the seed first, so every take is identical
+};
+
+// --- Presets ---
+// Presets are partial PARAMS objects applied on top of the defaults. The seed, the
+// active pointer tool and the camera mode are per-session state, so they are never
+// saved or shared.
+const PRESET_EXCLUDED_KEYS = ['seed', 'pointerTool', 'cameraMode'];
+const PRESET_LIST_KEYS = ['pathPoints', 'cameraPathPoints']; // Lists whose length varies; merged by replacing them whole
+const PRESET_STORAGE_KEY = 'boids-demo.params';
+const PRESET_HASH_KEY = 'params';
+const PRESETS = {
+    'Default': {},
+    'Tight Murmuration': {
+        separationDistance: 6.0, alignmentDistance: 30.0, cohesionDistance: 50.0,
+        separationWeight: 0.8, alignmentWeight: 5.0, cohesionWeight: 5.0,
+        freedomFactor: 0.005, maxSpeed: 140.0, maxSteerForce: 35,
+        predatorCount: 3, birdScale: 0.8,
+        bloomStrength: 0.4, fogColor: '#0a0a18', fogDensity: 0.0008
+    },
+    'Loose Swarm': {
+        separationDistance: 20.0, alignmentDistance: 15.0, cohesionDistance: 80.0,
+        separationWeight: 1.5, alignmentWeight: 0.5, cohesionWeight: 2.0,
+        freedomFactor: 1.0, maxSpeed: 60.0, maxSteerForce: 15,
+        bloomThreshold: 0.2, bloomStrength: 1.0, bloomRadius: 0.4
+    },
+    'Fish School': {
+        separationDistance: 8.0, alignmentDistance: 45.0, cohesionDistance: 45.0,
+        separationWeight: 1.0, alignmentWeight: 5.0, cohesionWeight: 3.5,
+        freedomFactor: 0.05, maxSpeed: 70.0, maxSteerForce: 10,
+        boundaryMode: BOUNDARY_MODES['Spherical Arena'], predatorCount: 2, obstacleWeight: 8.0,
+        bloomStrength: 0.3, fogColor: '#02203a', fogDensity: 0.0015
+    },
+    'Hawks and Starlings': {
+        speciesCount: 2,
+        speciesAvoidWeight: 5.0,
+        species: [{ share: 19.0 }, { share: 1.0, speed: 1.3, scale: 2.5, separation: 3.0, color: '#ff5522' }],
+        speciesInteraction: [[1, -1.5], [1, 0]], // Starlings flee hawks, hawks chase starlings
+        predatorCount: 0
+    },
+    'Follow the Leader': {
+        pathPoints: [[-250, 0, -150], [0, 120, -250], [250, 40, -100], [200, -60, 200], [-100, 80, 220], [-280, -40, 60]],
+        pathShare: 0.0, leaderCount: 24, leaderAlignment: 8.0,
+        alignmentWeight: 2.0, predatorCount: 0, showFood: false, showSources: false
+    }
+};
+
+// --- Seeded Randomness ---
+
+// Small, fast seeded PRNG (mulberry32); returns floats in [0, 1) like Math.random
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seed from the URL (?seed=123) if present, otherwise a fresh one
+function initialSeed(useUrl) {
+    const fromUrl = useUrl ? parseInt(new URLSearchParams(window.location.search).get('seed'), 10) : NaN;
+    return Number.isFinite(fromUrl) ? fromUrl : Math.floor(Math.random() * 1000000);
+}
+
+// Offset for the shader's rand(), derived from the seed on its own stream
+function shaderSeed(seed) {
+    return createRandom(seed ^ 0x9E3779B9)() * 100.0;
+}
+
+// --- WebM Writing ---
+// Just enough Matroska to hold one video track of WebCodecs chunks: the EBML header,
+// then a Segment with Info, Tracks and one Cluster per keyframe. Elements are built as
+// flat arrays of byte parts so large clips are never copied into one buffer.
+
+function ebmlId(id) {
+    const bytes = [];
+    for (; id > 0; id = Math.floor(id / 256)) bytes.unshift(id % 256);
+    return new Uint8Array(bytes);
+}
+
+function ebmlSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++; // All ones is reserved for "unknown"
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1, rest = size; i >= 0; i--, rest = Math.floor(rest / 256)) bytes[i] = rest % 256;
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function ebmlElement(id, ...children) {
+    const parts = children.flat();
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    return [ebmlId(id), ebmlSize(size), ...parts];
+}
+
+function ebmlUint(id, value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return ebmlElement(id, new Uint8Array(bytes));
+}
+
+function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlElement(id, bytes);
+}
+
+function ebmlString(id, value) {
+    return ebmlElement(id, new TextEncoder().encode(value));
+}
+
+// chunks: [{ data, timestamp (microseconds), key }] in decode order; duration in ms
+function writeWebm(chunks, codecId, width, height, duration) {
+    const header = ebmlElement(0x1A45DFA3,
+        ebmlUint(0x4286, 1), // EBMLVersion
+        ebmlUint(0x42F7, 1), // EBMLReadVersion
+        ebmlUint(0x42F2, 4), // EBMLMaxIDLength
+        ebmlUint(0x42F3, 8), // EBMLMaxSizeLength
+        ebmlString(0x4282, 'webm'), // DocType
+        ebmlUint(0x4287, 2), // DocTypeVersion
+        ebmlUint(0x4285, 2)  // DocTypeReadVersion
+    );
+    const info = ebmlElement(0x1549A966,
+        ebmlUint(0x2AD7B1, 1000000), // TimestampScale: timestamps in ms
+        ebmlFloat(0x4489, duration),
+        ebmlString(0x4D80, 'boids'), // MuxingApp
+        ebmlString(0x5741, 'boids')  // WritingApp
+    );
+    const tracks = ebmlElement(0x1654AE6B, ebmlElement(0xAE,
+        ebmlUint(0xD7, 1),  // TrackNumber
+        ebmlUint(0x73C5, 1), // TrackUID
+        ebmlUint(0x83, 1),  // TrackType: video
+        ebmlString(0x86, codecId),
+        ebmlElement(0xE0, ebmlUint(0xB0, width), ebmlUint(0xBA, height))
+    ));
+
+    // Block timestamps are 16-bit offsets from their cluster's, so clusters stay short
+    const clusters = [];
+    let cluster = null;
+    for (const chunk of chunks) {
+        const time = Math.round(chunk.timestamp / 1000);
+        if (!cluster || chunk.key || time - cluster.time > 30000) {
+            cluster = { time, blocks: [] };
+            clusters.push(cluster);
+        }
+        const block = new Uint8Array(4);
+        block[0] = 0x81; // Track number 1 as a one-byte vint
+        new DataView(block.buffer).setInt16(1, time - cluster.time);
+        block[3] = chunk.key ? 0x80 : 0;
+        cluster.blocks.push(ebmlElement(0xA3, block, chunk.data)); // SimpleBlock
+    }
+    const segment = ebmlElement(0x18538067, info, tracks,
+        ...clusters.map(({ time, blocks }) => ebmlElement(0x1F43B675, ebmlUint(0xE7, time), ...blocks)));
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+}
+
+// --- Shader Definitions ---
+
+// Stable hash of a boid's index to [0, 1], for splitting the flock into fixed groups
+const hashCommonShader = /* glsl */`
+    float hashIndex(uint n) {
+        n = (n ^ 61u) ^ (n >> 16);
+        n *= 9u;
+        n ^= n >> 4;
+        n *= 0x27d4eb2du;
+        n ^= n >> 15;
+        return float(n) / 4294967295.0;
+    }
+`;
+
+// Shared helpers for the spatial grid: mapping positions to cells and cells to texels
+const gridCommonShader = /* glsl */`
+    #define GRID_TEXTURE_WIDTH ${GRID_TEXTURE_WIDTH}
+    #define GRID_MAX_PER_CELL ${GRID_MAX_PER_CELL}
+
+    uniform float gridCellSize;
+    uniform int gridDim;
+
+    ivec3 gridCellCoord(vec3 pos) {
+        ivec3 cell = ivec3(floor((pos + bounds * 0.5) / gridCellSize));
+        return clamp(cell, ivec3(0), ivec3(gridDim - 1));
+    }
+
+    int gridCellIndex(ivec3 cell) {
+        return cell.x + (cell.y + cell.z * gridDim) * gridDim;
+    }
+
+    ivec2 gridCellTexel(int cellIndex) {
+        return ivec2(cellIndex % GRID_TEXTURE_WIDTH, cellIndex / GRID_TEXTURE_WIDTH);
+    }
+`;
+
+// Shared helpers for the boundary behaviours. The arena is a cube of side
+// 'bounds' centred on the origin; the arenas are its inscribed sphere/cylinder.
+const boundaryCommonShader = /* glsl */`
+    #define BOUNDARY_WRAP 0
+    #define BOUNDARY_SOFT_WALLS 1
+    #define BOUNDARY_REFLECT 2
+    #define BOUNDARY_SPHERE 3
+    #define BOUNDARY_CYLINDER 4
+
+    uniform float bounds;
+    uniform int boundaryMode;
+
+    // Outward surface normal where pos lies outside the arena (zero inside), per axis for boxes
+    vec3 boundaryExit(vec3 pos) {
+        float halfBounds = bounds * 0.5;
+        if (boundaryMode == BOUNDARY_SPHERE) {
+            return length(pos) > halfBounds ? normalize(pos) : vec3(0.0);
+        }
+        vec3 exitDir = step(halfBounds, pos) - step(halfBounds, -pos);
+        if (boundaryMode == BOUNDARY_CYLINDER) {
+            vec2 radial = pos.xz;
+            exitDir.xz = length(radial) > halfBounds ? normalize(radial) : vec2(0.0);
+        }
+        return exitDir;
+    }
+
+    // Pull a position back inside the arena
+    vec3 confine(vec3 pos) {
+        float halfBounds = bounds * 0.5;
+        if (boundaryMode == BOUNDARY_SPHERE) {
+            return length(pos) > halfBounds ? normalize(pos) * halfBounds : pos;
+        }
+        if (boundaryMode == BOUNDARY_CYLINDER) {
+            if (length(pos.xz) > halfBounds) pos.xz = normalize(pos.xz) * halfBounds;
+            pos.y = clamp(pos.y, -halfBounds, halfBounds);
+            return pos;
+        }
+        return clamp(pos, vec3(-halfBounds), vec3(halfBounds));
+    }
+`;
+
+// Shared obstacle description and signed distance functions. Boxes are axis-aligned;
+// capsules are the segment centre +/- halfAxis swept by a radius.
+const obstacleCommonShader = /* glsl */`
+    #define MAX_OBSTACLES ${MAX_OBSTACLES}
+    #define OBSTACLE_SPHERE ${OBSTACLE_TYPES.sphere}
+    #define OBSTACLE_BOX ${OBSTACLE_TYPES.box}
+    #define OBSTACLE_CAPSULE ${OBSTACLE_TYPES.capsule}
+
+    uniform vec4 obstacleShape[MAX_OBSTACLES]; // xyz = centre, w = type
+    uniform vec4 obstacleSize[MAX_OBSTACLES];  // sphere: w = radius; box: xyz = half size; capsule: xyz = half axis, w = radius
+    uniform int obstacleCount;
+
+    // Signed distance from p to obstacle i, with the outward surface normal
+    float obstacleDistance(int i, vec3 p, out vec3 normal) {
+        vec3 rel = p - obstacleShape[i].xyz;
+        int type = int(obstacleShape[i].w + 0.5);
+
+        if (type == OBSTACLE_BOX) {
+            vec3 q = abs(rel) - obstacleSize[i].xyz;
+            if (any(greaterThan(q, vec3(0.0)))) {
+                vec3 outside = max(q, 0.0);
+                normal = normalize(outside * sign(rel));
+                return length(outside);
+            }
+            // Inside: the way out is through the nearest face
+            float depth = max(q.x, max(q.y, q.z));
+            if (depth == q.x) {
+                normal = vec3(sign(rel.x), 0.0, 0.0);
+            } else if (depth == q.y) {
+                normal = vec3(0.0, sign(rel.y), 0.0);
+            } else {
+                normal = vec3(0.0, 0.0, sign(rel.z));
+            }
+            return depth;
+        }
+
+        if (type == OBSTACLE_CAPSULE) {
+            // Measure from the closest point on the capsule's segment
+            vec3 halfAxis = obstacleSize[i].xyz;
+            float t = clamp(dot(rel + halfAxis, halfAxis) / max(2.0 * dot(halfAxis, halfAxis), 1e-6), 0.0, 1.0);
+            rel -= halfAxis * (2.0 * t - 1.0);
+        }
+
+        float dist = length(rel);
+        normal = dist > 0.0 ? rel / dist : vec3(0.0, 1.0, 0.0);
+        return dist - obstacleSize[i].w;
+    }
+
+    // Signed distance to the nearest obstacle surface (large if there are none)
+    float nearestObstacle(vec3 p, out vec3 normal) {
+        float nearest = 1e9;
+        normal = vec3(0.0);
+        for (int i = 0; i < MAX_OBSTACLES; i++) {
+            if (i >= obstacleCount) break;
+            vec3 obstacleNormal;
+            float dist = obstacleDistance(i, p, obstacleNormal);
+            if (dist < nearest) {
+                nearest = dist;
+                normal = obstacleNormal;
+            }
+        }
+        return nearest;
+    }
+`;
+
+// Fragment shader writing each boid's (cell index, boid index) key for sorting
+const gridKeyShader = /* glsl */`
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity; // w is the energy, 0 for dead boids
+    uniform float bounds;
+    uniform int birdCount; // Texels past this are unused
+
+    ${gridCommonShader}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 position = texture2D( texturePosition, uv ).xyz;
+        float index = floor(gl_FragCoord.y) * resolution.x + floor(gl_FragCoord.x);
+
+        // Unused texels and dead boids get a key past every cell, so they sort to the end and
+        // no cell range includes them
+        bool present = int(index) < birdCount && texture2D( textureVelocity, uv ).w > 0.0;
+        float cell = present ? float(gridCellIndex(gridCellCoord(position))) : ${(GRID_MAX_CELLS_PER_AXIS ** 3).toFixed(1)};
+        gl_FragColor = vec4( cell, index, 0.0, 1.0 );
+    }
+`;
+
+// Fragment shader for one compare-and-swap pass of a bitonic sort over the keys
+const gridSortShader = /* glsl */`
+    uniform sampler2D textureKeys;
+    uniform int blockSize;   // Size of the bitonic sequences being merged (k)
+    uniform int compareStep; // Distance between compared elements (j)
+
+    void main() {
+        int width = int(resolution.x);
+        int index = int(gl_FragCoord.y) * width + int(gl_FragCoord.x);
+        int partner = index ^ compareStep;
+
+        vec4 self = texelFetch(textureKeys, ivec2(gl_FragCoord.xy), 0);
+        vec4 other = texelFetch(textureKeys, ivec2(partner % width, partner / width), 0);
+
+        // Order by cell, then by boid index so every key is unique
+        bool selfGreater = self.x > other.x || (self.x == other.x && self.y > other.y);
+        bool ascending = (index & blockSize) == 0;
+        bool keepSmaller = (index < partner) == ascending;
+
+        gl_FragColor = (keepSmaller != selfGreater) ? self : other;
+    }
+`;
+
+// Fragment shader finding the [start, end) range of every cell in the sorted keys
+const gridRangeShader = /* glsl */`
+    uniform sampler2D textureSortedBoids;
+    uniform vec2 boidResolution;
+    uniform int gridDim;
+
+    float keyAt(int index) {
+        int width = int(boidResolution.x);
+        return texelFetch(textureSortedBoids, ivec2(index % width, index / width), 0).x;
+    }
+
+    // First sorted entry whose cell index is >= cell (binary search)
+    int lowerBound(float cell) {
+        int lo = 0;
+        int hi = int(boidResolution.x * boidResolution.y);
+        for (int i = 0; i < 32; i++) {
+            if (lo >= hi) break;
+            int mid = (lo + hi) / 2;
+            if (keyAt(mid) < cell) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    void main() {
+        int cell = int(gl_FragCoord.y) * int(resolution.x) + int(gl_FragCoord.x);
+        if (cell >= gridDim * gridDim * gridDim) {
+            gl_FragColor = vec4( 0.0 );
+            return;
+        }
+        gl_FragColor = vec4( float(lowerBound(float(cell))), float(lowerBound(float(cell + 1))), 0.0, 1.0 );
+    }
+`;
+
+// Food counting, pass 1: for one food (row) and one column of the boid texture,
+// count the living boids in that column within eatRadius of the food
+const foodCountColumnShader = /* glsl */`
+    #define MAX_FOOD ${MAX_FOOD}
+
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity; // w is the energy, 0 for dead boids
+    uniform vec2 boidResolution;
+    uniform int birdCount;
+    uniform vec3 foodPositions[MAX_FOOD];
+    uniform bool foodActive[MAX_FOOD];
+    uniform float eatRadius;
+
+    void main() {
+        int column = int(gl_FragCoord.x);
+        int food = int(gl_FragCoord.y);
+        float count = 0.0;
+
+        if (foodActive[food]) {
+            for (int row = 0; row < int(boidResolution.y); row++) {
+                if (row * int(boidResolution.x) + column >= birdCount) break;
+                if (texelFetch(textureVelocity, ivec2(column, row), 0).w <= 0.0) continue;
+                vec3 position = texelFetch(texturePosition, ivec2(column, row), 0).xyz;
+                if (distance(position, foodPositions[food]) < eatRadius) count += 1.0;
+            }
+        }
+
+        gl_FragColor = vec4( count, 0.0, 0.0, 1.0 );
+    }
+`;
+
+// Food counting, pass 2: sum the column counts of each food (one texel per food)
+const foodCountTotalShader = /* glsl */`
+    uniform sampler2D textureColumnCounts;
+    uniform float columns;
+
+    void main() {
+        int food = int(gl_FragCoord.x);
+        float total = 0.0;
+        for (int column = 0; column < int(columns); column++) {
+            total += texelFetch(textureColumnCounts, ivec2(column, food), 0).r;
+        }
+
+        gl_FragColor = vec4( total, 0.0, 0.0, 1.0 );
+    }
+`;
+
+// Predator catches, pass 1: for one predator (row) and one column of the boid texture,
+// the nearest living boid in that column within catchRadius (x = distance, y = index or -1)
+const catchColumnShader = /* glsl */`
+    #define MAX_PREDATORS ${MAX_PREDATORS}
+
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity; // w is the energy, 0 for dead boids
+    uniform vec2 boidResolution;
+    uniform int birdCount;
+    uniform vec3 predatorPositions[MAX_PREDATORS];
+    uniform bool predatorHunting[MAX_PREDATORS]; // Active and not resting
+    uniform float catchRadius;
+
+    void main() {
+        int column = int(gl_FragCoord.x);
+        int predator = int(gl_FragCoord.y);
+        vec2 nearest = vec2(catchRadius, -1.0);
+
+        if (predatorHunting[predator]) {
+            for (int row = 0; row < int(boidResolution.y); row++) {
+                int index = row * int(boidResolution.x) + column;
+                if (index >= birdCount) break;
+                if (texelFetch(textureVelocity, ivec2(column, row), 0).w <= 0.0) continue;
+                float dist = distance(texelFetch(texturePosition, ivec2(column, row), 0).xyz, predatorPositions[predator]);
+                if (dist < nearest.x) nearest = vec2(dist, float(index));
+            }
+        }
+
+        gl_FragColor = vec4( nearest, 0.0, 1.0 );
+    }
+`;
+
+// Predator catches, pass 2: the nearest over all columns (one texel per predator)
+const catchTotalShader = /* glsl */`
+    uniform sampler2D textureColumnNearest;
+    uniform float columns;
+
+    void main() {
+        int predator = int(gl_FragCoord.x);
+        vec2 nearest = vec2(1e20, -1.0);
+        for (int column = 0; column < int(columns); column++) {
+            vec2 candidate = texelFetch(textureColumnNearest, ivec2(column, predator), 0).xy;
+            if (candidate.y >= 0.0 && candidate.x < nearest.x) nearest = candidate;
+        }
+
+        gl_FragColor = vec4( nearest, 0.0, 1.0 );
+    }
+`;
+
+// Wind and flow fields: flowAt(position) sums uniform wind, line vortices, curl-noise
+// turbulence and an optional baked 3D field. Shared by the velocity pass and the
+// debug arrows so the arrows show exactly what the boids feel.
+const flowCommonShader = /* glsl */`
+    #define MAX_VORTICES ${MAX_VORTICES}
+
+    uniform bool flowActive; // False skips everything
+    uniform float flowStrength;
+    uniform vec3 windVelocity;
+    uniform vec4 vortexShape[MAX_VORTICES]; // xyz = point on the axis, w = core radius
+    uniform vec4 vortexAxis[MAX_VORTICES];  // xyz = unit axis, w = speed at the core radius (sign = direction)
+    uniform int vortexCount;
+    uniform float turbulenceStrength;
+    uniform float turbulenceScale;
+    uniform float turbulencePhase; // Advanced by the simulation at turbulenceEvolution per second
+    uniform sampler3D flowFieldTexture;
+    uniform float bakedFieldStrength; // 0 when no field is loaded
+    uniform vec3 flowFieldMin;        // Box the baked field covers
+    uniform vec3 flowFieldSize;
+
+    vec3 flowHash(vec3 cell) {
+        cell = vec3(dot(cell, vec3(127.1, 311.7, 74.7)),
+                    dot(cell, vec3(269.5, 183.3, 246.1)),
+                    dot(cell, vec3(113.5, 271.9, 124.6)));
+        return fract(sin(cell) * 43758.5453123) * 2.0 - 1.0;
+    }
+
+    // Gradient noise, roughly in [-1, 1]
+    float gradientNoise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        vec3 u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+        float n000 = dot(flowHash(i), f);
+        float n100 = dot(flowHash(i + vec3(1.0, 0.0, 0.0)), f - vec3(1.0, 0.0, 0.0));
+        float n010 = dot(flowHash(i + vec3(0.0, 1.0, 0.0)), f - vec3(0.0, 1.0, 0.0));
+        float n110 = dot(flowHash(i + vec3(1.0, 1.0, 0.0)), f - vec3(1.0, 1.0, 0.0));
+        float n001 = dot(flowHash(i + vec3(0.0, 0.0, 1.0)), f - vec3(0.0, 0.0, 1.0));
+        float n101 = dot(flowHash(i + vec3(1.0, 0.0, 1.0)), f - vec3(1.0, 0.0, 1.0));
+        float n011 = dot(flowHash(i + vec3(0.0, 1.0, 1.0)), f - vec3(0.0, 1.0, 1.0));
+        float n111 = dot(flowHash(i + vec3(1.0, 1.0, 1.0)), f - vec3(1.0, 1.0, 1.0));
+        return mix(mix(mix(n000, n100, u.x), mix(n010, n110, u.x), u.y),
+                   mix(mix(n001, n101, u.x), mix(n011, n111, u.x), u.y), u.z);
+    }
+
+    // Vector potential whose components drift in different directions over time, so
+    // its curl evolves instead of just sliding along
+    vec3 turbulencePotential(vec3 p) {
+        return vec3(gradientNoise(p + vec3(0.0, 0.0, turbulencePhase)),
+                    gradientNoise(p + vec3(31.4, -turbulencePhase, 17.2)),
+                    gradientNoise(p + vec3(turbulencePhase, 47.9, -23.1)));
+    }
+
+    // Divergence-free turbulence (the curl of the potential) by central differences
+    vec3 curlNoise(vec3 p) {
+        const float e = 0.05;
+        vec3 dx = turbulencePotential(p + vec3(e, 0.0, 0.0)) - turbulencePotential(p - vec3(e, 0.0, 0.0));
+        vec3 dy = turbulencePotential(p + vec3(0.0, e, 0.0)) - turbulencePotential(p - vec3(0.0, e, 0.0));
+        vec3 dz = turbulencePotential(p + vec3(0.0, 0.0, e)) - turbulencePotential(p - vec3(0.0, 0.0, e));
+        return vec3(dy.z - dz.y, dz.x - dx.z, dx.y - dy.x) / (2.0 * e);
+    }
+
+    vec3 flowAt(vec3 position) {
+        if (!flowActive) return vec3(0.0);
+        vec3 flow = windVelocity;
+
+        for (int i = 0; i < MAX_VORTICES; i++) {
+            if (i >= vortexCount) break;
+            vec3 axis = vortexAxis[i].xyz;
+            vec3 offset = position - vortexShape[i].xyz;
+            vec3 radial = offset - dot(offset, axis) * axis;
+            float dist = length(radial);
+            if (dist < 0.001) continue;
+            // Lamb-Oseen profile: spins like a solid body inside the core, falls off as 1/r outside
+            float core = vortexShape[i].w;
+            float speed = vortexAxis[i].w * core / dist * (1.0 - exp(-dist * dist / (core * core))) / (1.0 - exp(-1.0));
+            flow += cross(axis, radial / dist) * speed;
+        }
+
+        if (turbulenceStrength > 0.0) {
+            flow += curlNoise(position / turbulenceScale) * turbulenceStrength;
+        }
+
+        if (bakedFieldStrength > 0.0) {
+            vec3 uvw = (position - flowFieldMin) / flowFieldSize;
+            if (all(greaterThanEqual(uvw, vec3(0.0))) && all(lessThanEqual(uvw, vec3(1.0)))) {
+                flow += texture(flowFieldTexture, uvw).xyz * bakedFieldStrength;
+            }
+        }
+        return flow * flowStrength;
+    }
+`;
+
+// Debug view of the flow field: FLOW_ARROW_GRID^2 arrows on a plane through the arena.
+// position.xy is the arrow's place on the plane in [-0.5, 0.5]; arrowVertex is the
+// vertex along (x) and across (y) the arrow, in arrow lengths.
+const flowArrowVertexShader = /* glsl */`
+    ${flowCommonShader}
+
+    uniform float bounds;
+    uniform float maxSpeed;
+    uniform int sliceAxis;
+    uniform float sliceOffset;
+    attribute vec2 arrowVertex;
+    varying float vStrength;
+
+    void main() {
+        vec3 base = sliceAxis == 0 ? vec3(sliceOffset, position.xy) : sliceAxis == 1 ? vec3(position.x, sliceOffset, position.y) : vec3(position.xy, sliceOffset);
+        base *= bounds;
+        vec3 normal = sliceAxis == 0 ? vec3(1.0, 0.0, 0.0) : sliceAxis == 1 ? vec3(0.0, 1.0, 0.0) : vec3(0.0, 0.0, 1.0);
+
+        vec3 flow = flowAt(base);
+        float speed = length(flow);
+        vec3 direction = speed > 0.0 ? flow / speed : vec3(0.0);
+        vec3 side = cross(direction, normal);
+        if (dot(side, side) < 1e-6) side = cross(direction, normal.yzx); // Flow straight through the plane
+        side = dot(side, side) > 0.0 ? normalize(side) : vec3(0.0);
+
+        // Full spacing at maxSpeed, so arrows compare against the boids' own speed
+        vStrength = min(speed / maxSpeed, 1.0);
+        float arrowLength = bounds / float(${FLOW_ARROW_GRID}) * min(speed / maxSpeed, 1.5);
+        vec3 world = base + (direction * arrowVertex.x + side * arrowVertex.y) * arrowLength;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(world, 1.0);
+    }
+`;
+
+const flowArrowFragmentShader = /* glsl */`
+    varying float vStrength;
+
+    void main() {
+        gl_FragColor = vec4(mix(vec3(0.2, 0.5, 1.0), vec3(1.0, 0.9, 0.6), vStrength), 0.8);
+    }
+`;
+
+// Fragment shader for computing velocity
+const velocityShader = /* glsl */`
+    #define MAX_FOOD ${MAX_FOOD}
+    #define MAX_PREDATORS ${MAX_PREDATORS}
+
+    uniform float frame;      // Simulation step counter, drives the random steering
+    uniform float randomSeed; // Derived from PARAMS.seed
+    uniform float delta;
+    uniform float separationDistance;
+    uniform float alignmentDistance;
+    uniform float cohesionDistance;
+    uniform float freedomFactor;
+    uniform int birdCount; // Texels past this are unused
+
+    // Neighbour search (0 = spatial grid, 1 = random sampling)
+    uniform int neighborSearchMode;
+    uniform sampler2D textureSortedBoids; // (cell index, boid index) pairs sorted by cell
+    uniform sampler2D textureCellRange;   // [start, end) of each cell in textureSortedBoids
+    uniform int gridCellCap;              // Max boids visited per cell (up to GRID_MAX_PER_CELL)
+
+    // Perception: a forward view cone, and optionally topological neighbourhoods, where
+    // alignment and cohesion use the topologicalK nearest followed boids instead of radii
+    #define MAX_TOPOLOGICAL_K ${MAX_TOPOLOGICAL_K}
+    #define TOPOLOGICAL_MAX_RING ${TOPOLOGICAL_MAX_RING}
+    uniform float viewCosine;  // Cosine of half the view angle; -1 sees all around
+    uniform int topologicalK;  // 0 for metric neighbourhoods
+    // uniform vec3 predator; // REMOVE
+    // uniform bool hasPredator; // REMOVE
+
+    // NEW Uniforms for automatic sources
+    uniform vec3 foodPositions[MAX_FOOD];
+    uniform bool foodActive[MAX_FOOD];
+    uniform vec3 predatorPositions[MAX_PREDATORS];
+    uniform bool predatorActive[MAX_PREDATORS];
+
+    // Weights
+    uniform float separationWeight;
+    uniform float alignmentWeight;
+    uniform float cohesionWeight;
+    uniform float predatorWeight; // Now for automatic predators
+    uniform float foodWeight;     // Weight for food attraction
+
+    // Influence Radii
+    uniform float predatorRadius;
+    uniform float foodRadius;
+
+    // Limits
+    uniform float maxSpeed;
+    uniform float maxSteerForce;
+
+    // Life cycle: velocity.w is the boid's energy, and a boid with none is dead (its slot
+    // free for a birth). Births pair each free slot with the slot at index ^ birthMask.
+    #define MAX_KILLS ${MAX_KILLS}
+    uniform bool lifeCycle;
+    uniform float energyDrain;      // Energy lost per second at rest
+    uniform float energySpeedDrain; // Extra energy lost per second at full speed
+    uniform float feedRate;         // Energy gained per second within eatRadius of food
+    uniform float eatRadius;
+    uniform float birthEnergy;      // Parents need at least this much energy
+    uniform float birthRate;        // Chance per second that a parent with a free partner slot breeds
+    uniform int birthMask;          // New each step (1 .. texels - 1)
+    uniform int killList[MAX_KILLS]; // Boids caught by predators this step (-1 = unused)
+
+    // Species (id in texturePosition.w)
+    #define MAX_SPECIES ${MAX_SPECIES}
+    uniform vec4 speciesWeights[MAX_SPECIES]; // Multipliers: x = separation, y = alignment, z = cohesion, w = speed
+    uniform float speciesRadius[MAX_SPECIES]; // Multiplier on the three interaction distances
+    uniform float speciesInteraction[MAX_SPECIES * MAX_SPECIES]; // [self * MAX_SPECIES + other]: > 0 follow, < 0 avoid
+    uniform float speciesAvoidWeight;
+
+    // Path following and leaders
+    #define PATH_SAMPLES ${PATH_SAMPLES}
+    uniform vec3 pathPoints[PATH_SAMPLES]; // Evenly spaced along the spline
+    uniform int pathPointCount;           // 0 = no path
+    uniform bool pathClosed;
+    uniform float pathSpacing;            // Distance between consecutive points
+    uniform float pathWeight;
+    uniform float pathLookAhead;
+    uniform float pathShare;
+    uniform int leaderCount;
+    uniform float leaderAlignment;
+
+    // Boundaries
+    uniform float wallMargin;
+    uniform float wallWeight;
+
+    // Obstacles
+    uniform float obstacleWeight;
+    uniform float obstacleLookAhead;
+
+    // Pointer tools
+    #define POINTER_NONE ${POINTER_MODES.none}
+    #define POINTER_REPULSOR ${POINTER_MODES.repulsor}
+    #define POINTER_GUST ${POINTER_MODES.gust}
+    #define POINTER_HERD ${POINTER_MODES.herd}
+    uniform int pointerMode;
+    uniform vec3 pointerPosition;
+    uniform vec3 pointerDirection; // Unit direction for gusts and herding
+    uniform float pointerRadius;
+    uniform float pointerStrength;
+
+    // Force inspector: the DEBUG_FORCES variant runs this pass for debugBoid alone and
+    // writes each steering component to its own texel (see DEBUG_FORCES in JS)
+    #define DEBUG_TEXELS ${DEBUG_TEXELS}
+    #define FORCE_SEPARATION ${DEBUG_SLOTS.separation}
+    #define FORCE_ALIGNMENT ${DEBUG_SLOTS.alignment}
+    #define FORCE_COHESION ${DEBUG_SLOTS.cohesion}
+    #define FORCE_AVOIDANCE ${DEBUG_SLOTS.avoidance}
+    #define FORCE_FOOD ${DEBUG_SLOTS.food}
+    #define FORCE_PREDATOR ${DEBUG_SLOTS.predator}
+    #define FORCE_PATH ${DEBUG_SLOTS.path}
+    #define FORCE_RANDOM ${DEBUG_SLOTS.random}
+    #define FORCE_POINTER ${DEBUG_SLOTS.pointer}
+    #define FORCE_OBSTACLE ${DEBUG_SLOTS.obstacle}
+    #define FORCE_WALLS ${DEBUG_SLOTS.walls}
+    #define FORCE_FLOW ${DEBUG_SLOTS.flow}
+    #define FORCE_TOTAL ${DEBUG_SLOTS.total}
+    #define DEBUG_VELOCITY ${DEBUG_SLOTS.velocity}
+    #define DEBUG_NEIGHBORS ${DEBUG_SLOTS.neighbors}
+    #define DEBUG_NEAREST ${DEBUG_SLOTS.nearest} // MAX_TOPOLOGICAL_K / 4 texels of nearest boid indices
+    #ifdef DEBUG_FORCES
+    uniform int debugBoid;
+    vec4 debugOutput[DEBUG_TEXELS];
+    #endif
+
+    const float PI = 3.14159265359;
+    const float MASS = 1.0;
+
+    ${boundaryCommonShader}
+    ${obstacleCommonShader}
+    ${gridCommonShader}
+    ${hashCommonShader}
+    ${flowCommonShader}
+
+    // Simple pseudo-random function
+    float rand(vec2 co){
+        return fract(sin(dot(co.xy ,vec2(12.9898,78.233))) * 43758.5453);
+    }
+
+    // Limit vector magnitude
+    vec3 limit(vec3 vec, float maxVal) {
+        if (length(vec) > maxVal) {
+            return normalize(vec) * maxVal;
+        }
+        return vec;
+    }
+
+    // Texel holding the boid (or sorted entry) with the given linear index
+    ivec2 boidTexel(int index) {
+        int width = int(resolution.x);
+        return ivec2(index % width, index / width);
+    }
+
+    // Record one component of the motion for the force inspector (nothing outside DEBUG_FORCES)
+    void debugForce(int slot, vec3 force) {
+        #ifdef DEBUG_FORCES
+        debugOutput[slot].xyz += force;
+        #endif
+    }
+
+    void steer(inout vec3 totalSteeringForce, int slot, vec3 force) {
+        totalSteeringForce += force;
+        debugForce(slot, force);
+    }
+
+    bool wasKilled(int index) {
+        for (int i = 0; i < MAX_KILLS; i++) {
+            if (killList[i] == index) return true;
+        }
+        return false;
+    }
+
+    // Whether parent breeds into the free slot child this step. Both slots evaluate this
+    // from the same inputs, so the parent always pays for exactly the births that happen.
+    bool breeds(int parent, int child) {
+        if (!lifeCycle || parent >= birdCount || child >= birdCount) return false;
+        if (texelFetch(textureVelocity, boidTexel(child), 0).w > 0.0) return false; // Slot taken
+        if (texelFetch(textureVelocity, boidTexel(parent), 0).w < birthEnergy || wasKilled(parent)) return false;
+        return hashIndex(uint(child) ^ uint(frame) * 0x9e3779b9u) < birthRate * delta;
+    }
+
+    // How strongly (0..1 per unit direction) the walls push inward within wallMargin of them
+    vec3 wallPush(vec3 position) {
+        float halfBounds = bounds * 0.5;
+        if (boundaryMode == BOUNDARY_SPHERE) {
+            float depth = 1.0 - (halfBounds - length(position)) / wallMargin;
+            return -normalize(position) * clamp(depth, 0.0, 1.0);
+        }
+        vec3 push = clamp(1.0 - (position + halfBounds) / wallMargin, 0.0, 1.0)
+                  - clamp(1.0 - (halfBounds - position) / wallMargin, 0.0, 1.0);
+        if (boundaryMode == BOUNDARY_CYLINDER) {
+            float radius = length(position.xz);
+            float depth = clamp(1.0 - (halfBounds - radius) / wallMargin, 0.0, 1.0);
+            push.xz = radius > 0.0 ? -position.xz / radius * depth : vec2(0.0);
+        }
+        return push;
+    }
+
+    // The point pathLookAhead further along the path than the path's nearest point to position
+    vec3 pathTarget(vec3 position) {
+        int segments = pathClosed ? pathPointCount : pathPointCount - 1;
+        float nearestDist = 1e20;
+        float nearest = 0.0; // Segment index + fraction
+        for (int i = 0; i < PATH_SAMPLES; i++) {
+            if (i >= segments) break;
+            vec3 a = pathPoints[i];
+            vec3 ab = pathPoints[(i + 1) % pathPointCount] - a;
+            float t = clamp(dot(position - a, ab) / max(dot(ab, ab), 1e-6), 0.0, 1.0);
+            vec3 offset = position - (a + ab * t);
+            float dist = dot(offset, offset);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = float(i) + t;
+            }
+        }
+
+        float ahead = nearest + pathLookAhead / pathSpacing;
+        ahead = pathClosed ? mod(ahead, float(pathPointCount)) : min(ahead, float(pathPointCount - 1));
+        int i = int(ahead);
+        int j = pathClosed ? (i + 1) % pathPointCount : min(i + 1, pathPointCount - 1);
+        return mix(pathPoints[i], pathPoints[j], fract(ahead));
+    }
+
+    // Running sums over the neighbours a boid perceives
+    struct Neighborhood {
+        vec3 separation;       // Sum of (away / distance) over boids that are too close
+        float separationCount;
+        vec3 velocitySum;      // Affinity-weighted, for alignment
+        float alignTotal;
+        vec3 positionSum;      // Affinity-weighted, for cohesion
+        float cohesionTotal;
+        vec3 avoidance;        // Away from boids of species we avoid
+        float avoidTotal;
+    };
+
+    // Topological mode: the nearest followed boids seen so far, closest first (index -1 = empty)
+    float nearestDist[MAX_TOPOLOGICAL_K];
+    int nearestIndex[MAX_TOPOLOGICAL_K];
+
+    void considerNearest(int neighborIndex, float dist) {
+        int slot = topologicalK - 1;
+        if (dist >= nearestDist[slot]) return;
+        for (int n = 0; n < MAX_TOPOLOGICAL_K; n++) {
+            if (slot == 0 || nearestDist[slot - 1] <= dist) break;
+            nearestDist[slot] = nearestDist[slot - 1];
+            nearestIndex[slot] = nearestIndex[slot - 1];
+            slot--;
+        }
+        nearestDist[slot] = dist;
+        nearestIndex[slot] = neighborIndex;
+    }
+
+    // Whether k boids have been found and no unvisited boid further than reach can be nearer
+    bool topologicalSettled(float reach) {
+        int slot = topologicalK - 1;
+        return nearestIndex[slot] >= 0 && nearestDist[slot] <= reach;
+    }
+
+    // Alignment (accumulate velocities); leaders count leaderAlignment times over
+    void alignWith(inout Neighborhood hood, vec3 neighborVel, int neighborIndex, float affinity) {
+        float alignAffinity = neighborIndex < leaderCount ? affinity * leaderAlignment : affinity;
+        hood.velocitySum += neighborVel * alignAffinity;
+        hood.alignTotal += alignAffinity;
+    }
+
+    // Cohesion (accumulate positions)
+    void cohereWith(inout Neighborhood hood, vec3 neighborPos, float affinity) {
+        hood.positionSum += neighborPos * affinity;
+        hood.cohesionTotal += affinity;
+    }
+
+    // Accumulate one neighbour into the separation/alignment/cohesion sums. The
+    // interaction matrix sets how much we follow (> 0) or avoid (< 0) its species.
+    // Boids outside the view cone around heading go unseen; a zero heading sees all around.
+    void accumulateNeighbor(inout Neighborhood hood, vec3 position, vec3 heading, int species,
+                            vec3 neighborPos, vec3 neighborVel, int neighborSpecies, int neighborIndex) {
+        vec3 diff = position - neighborPos;
+        float dist = length(diff);
+        if (dist <= 0.0) return; // Check distance > 0
+        if (dot(heading, heading) > 0.0 && dot(-diff, heading) < viewCosine * dist) return; // Outside the view cone
+
+        float radiusScale = speciesRadius[species];
+        float affinity = speciesInteraction[species * MAX_SPECIES + neighborSpecies];
+
+        // Separation (from everyone, whatever the species)
+        if (dist < separationDistance * radiusScale) {
+            hood.separation += normalize(diff) / max(dist, 0.01); // Force stronger when closer
+            hood.separationCount += 1.0;
+        }
+        if (affinity > 0.0) {
+            if (topologicalK > 0) {
+                considerNearest(neighborIndex, dist); // Aligned and cohered with once the search is done
+            } else {
+                if (dist < alignmentDistance * radiusScale) alignWith(hood, neighborVel, neighborIndex, affinity);
+                if (dist < cohesionDistance * radiusScale) cohereWith(hood, neighborPos, affinity);
+            }
+        } else if (affinity < 0.0 && dist < cohesionDistance * radiusScale) {
+            // Avoidance of other species
+            hood.avoidance += normalize(diff) * -affinity;
+            hood.avoidTotal -= affinity;
+        }
+    }
+
+    void main() {
+        #ifdef DEBUG_FORCES
+        int selfIndex = debugBoid;
+        vec2 uv = (vec2(boidTexel(selfIndex)) + 0.5) / resolution.xy;
+        for (int i = 0; i < DEBUG_TEXELS; i++) debugOutput[i] = vec4(0.0);
+        #else
+        int selfIndex = int(gl_FragCoord.y) * int(resolution.x) + int(gl_FragCoord.x);
+        if (selfIndex >= birdCount) { // Unused texel
+            gl_FragColor = vec4(0.0);
+            return;
+        }
+
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        #endif
+        vec4 positionData = texture2D( texturePosition, uv );
+        vec3 position = positionData.xyz;
+        vec4 velocityData = texture2D( textureVelocity, uv );
+        vec3 velocity = velocityData.xyz;
+        float energy = velocityData.w;
+
+        // A dead boid stays put until a parent breeds into its slot; the newborn leaves with
+        // the parent's velocity, slightly varied, and half its energy. With the life cycle
+        // off the dead come back to life where they are, at full energy.
+        if (energy <= 0.0) {
+            int parent = selfIndex ^ birthMask;
+            vec3 jitter = vec3(rand(uv + frame), rand(uv - frame), rand(uv * 2.0 + frame)) - 0.5;
+            vec4 newborn = vec4(0.0);
+            if (!lifeCycle) {
+                newborn = vec4(jitter * maxSpeed, 1.0);
+            } else if (breeds(parent, selfIndex)) {
+                vec4 parentVelocity = texelFetch(textureVelocity, boidTexel(parent), 0);
+                newborn = vec4(parentVelocity.xyz + jitter * 0.2 * length(parentVelocity.xyz), parentVelocity.w * 0.5);
+            }
+            #ifdef DEBUG_FORCES
+            debugOutput[DEBUG_VELOCITY] = newborn;
+            gl_FragColor = debugOutput[int(gl_FragCoord.x)];
+            #else
+            gl_FragColor = newborn;
+            #endif
+            return;
+        }
+        int species = int(positionData.w + 0.5);
+        vec4 weightScale = speciesWeights[species];
+        float topSpeed = maxSpeed * weightScale.w;
+        vec3 heading = length(velocity) > 0.0 ? normalize(velocity) : vec3(0.0);
+
+        // --- Calculate Steering Forces ---
+        vec3 separationForce = vec3(0.0);
+        vec3 alignmentForce = vec3(0.0);
+        vec3 cohesionForce = vec3(0.0);
+        vec3 predatorForce = vec3(0.0);
+
+        Neighborhood hood = Neighborhood(vec3(0.0), 0.0, vec3(0.0), 0.0, vec3(0.0), 0.0, vec3(0.0), 0.0);
+        for (int n = 0; n < MAX_TOPOLOGICAL_K; n++) {
+            nearestDist[n] = 1e20;
+            nearestIndex[n] = -1;
+        }
+
+        if (neighborSearchMode == 0) {
+            // Iterate through the boids sharing our grid cell or one of its 26 neighbours. In
+            // topological mode, while fewer than k boids are known to be the nearest, carry
+            // on with the next shell of cells out (up to TOPOLOGICAL_MAX_RING cells away).
+            ivec3 cell = gridCellCoord(position);
+            for (int ring = 1; ring <= TOPOLOGICAL_MAX_RING; ring++) {
+                if (ring > 1 && (topologicalK == 0 || topologicalSettled(float(ring - 1) * gridCellSize))) break;
+                for (int dz = -ring; dz <= ring; dz++) {
+                    for (int dy = -ring; dy <= ring; dy++) {
+                        for (int dx = -ring; dx <= ring; dx++) {
+                            if (ring > 1 && max(abs(dx), max(abs(dy), abs(dz))) < ring) continue; // Visited already
+                            ivec3 neighborCell = cell + ivec3(dx, dy, dz);
+                            if (any(lessThan(neighborCell, ivec3(0))) || any(greaterThanEqual(neighborCell, ivec3(gridDim)))) continue;
+
+                            vec2 range = texelFetch(textureCellRange, gridCellTexel(gridCellIndex(neighborCell)), 0).xy;
+                            int start = int(range.x);
+                            int count = int(range.y) - start;
+                            // A cell fuller than the cap is visited from a different entry for each boid
+                            // and step, so no boid in it goes unseen for long
+                            int offset = count > gridCellCap ? int(hashIndex(uint(selfIndex) ^ uint(frame) * 0x85ebca6bu) * float(count)) % count : 0;
+                            for (int n = 0; n < GRID_MAX_PER_CELL; n++) {
+                                if (n >= min(count, gridCellCap)) break;
+                                int entry = start + (n + offset) % count;
+                                int neighborIndex = int(texelFetch(textureSortedBoids, boidTexel(entry), 0).y);
+                                if (neighborIndex == selfIndex) continue;
+                                ivec2 neighborTexel = boidTexel(neighborIndex);
+                                vec4 neighborData = texelFetch(texturePosition, neighborTexel, 0);
+                                vec4 neighborVelocity = texelFetch(textureVelocity, neighborTexel, 0);
+                                if (neighborVelocity.w <= 0.0) continue; // Dead
+                                accumulateNeighbor(hood, position, heading, species,
+                                    neighborData.xyz, neighborVelocity.xyz, int(neighborData.w + 0.5), neighborIndex);
+                            }
+                        }
+                    }
+                }
+            }
+        } else {
+            // Fast/approximate: iterate through random texels near our own slot (sampling)
+            const float numSamples = 30.0;
+            for (float i = 0.0; i < numSamples; i++) {
+                vec2 sampleUV = fract(uv + vec2(rand(uv + i*0.1), rand(uv - i*0.1)) * 0.1); // Slightly different sampling
+                ivec2 sampleTexel = ivec2(sampleUV * resolution);
+                int sampleIndex = sampleTexel.y * int(resolution.x) + sampleTexel.x;
+                if (sampleIndex >= birdCount) continue;
+                vec4 neighborData = texture2D(texturePosition, sampleUV);
+                vec4 neighborVelocity = texture2D(textureVelocity, sampleUV);
+                if (neighborVelocity.w <= 0.0) continue; // Dead
+                accumulateNeighbor(hood, position, heading, species,
+                    neighborData.xyz, neighborVelocity.xyz, int(neighborData.w + 0.5), sampleIndex);
+            }
+        }
+
+        // Topological mode: align and cohere with the k nearest followed boids, however far
+        // (within the boids the search above visited)
+        for (int n = 0; n < MAX_TOPOLOGICAL_K; n++) {
+            if (n >= topologicalK || nearestIndex[n] < 0) break;
+            ivec2 nearestTexel = boidTexel(nearestIndex[n]);
+            vec4 nearestData = texelFetch(texturePosition, nearestTexel, 0);
+            float affinity = speciesInteraction[species * MAX_SPECIES + int(nearestData.w + 0.5)];
+            alignWith(hood, texelFetch(textureVelocity, nearestTexel, 0).xyz, nearestIndex[n], affinity);
+            cohereWith(hood, nearestData.xyz, affinity);
+        }
+
+        vec3 totalSteeringForce = vec3(0.0);
+
+        // Separation Steering
+        if (hood.separationCount > 0.0) {
+            separationForce = hood.separation / hood.separationCount;
+            if (length(separationForce) > 0.0) {
+                 // Calculate desired velocity (maxSpeed away from average separation vector)
+                 vec3 desiredSep = normalize(separationForce) * topSpeed;
+                 // Calculate steering force (Desired - Current)
+                 separationForce = desiredSep - velocity; // This is now a steering vector
+                 steer(totalSteeringForce, FORCE_SEPARATION, separationForce * separationWeight * weightScale.x);
+            }
+        }
+
+        // Alignment Steering
+        if (hood.alignTotal > 0.0) {
+            vec3 avgVelocity = hood.velocitySum / hood.alignTotal;
+            if (length(avgVelocity) > 0.0) {
+                // Calculate desired velocity (maxSpeed in direction of average velocity)
+                vec3 desiredAlign = normalize(avgVelocity) * topSpeed;
+                // Calculate steering force (Desired - Current)
+                alignmentForce = desiredAlign - velocity; // Steering vector
+                steer(totalSteeringForce, FORCE_ALIGNMENT, alignmentForce * alignmentWeight * weightScale.y);
+            }
+        }
+
+        // Cohesion Steering
+        if (hood.cohesionTotal > 0.0) {
+            vec3 avgPosition = hood.positionSum / hood.cohesionTotal;
+            vec3 vecToCenter = avgPosition - position;
+            if(length(vecToCenter) > 0.0) {
+                // Calculate desired velocity (maxSpeed towards center of mass)
+                vec3 desiredCoh = normalize(vecToCenter) * topSpeed;
+                // Calculate steering force (Desired - Current)
+                cohesionForce = desiredCoh - velocity; // Steering vector
+                steer(totalSteeringForce, FORCE_COHESION, cohesionForce * cohesionWeight * weightScale.z);
+            }
+        }
+
+        // Avoidance of other species
+        if (hood.avoidTotal > 0.0 && length(hood.avoidance) > 0.0) {
+            vec3 desiredAway = normalize(hood.avoidance) * topSpeed;
+            steer(totalSteeringForce, FORCE_AVOIDANCE, (desiredAway - velocity) * speciesAvoidWeight);
+        }
+
+        // --- Add Steering for Automatic Food Sources (Attractors) ---
+        vec3 foodSteeringForce = vec3(0.0);
+        int foodCount = 0;
+        for (int i = 0; i < MAX_FOOD; i++) {
+            if (foodActive[i]) {
+                vec3 vecToFood = foodPositions[i] - position;
+                float distToFood = length(vecToFood);
+
+                if (distToFood > 0.0 && distToFood < foodRadius) {
+                    // Calculate desired velocity (maxSpeed towards food)
+                    vec3 desiredFood = normalize(vecToFood) * topSpeed;
+                    // Calculate steering force (Desired - Current)
+                    foodSteeringForce += (desiredFood - velocity);
+                    foodCount++;
+                }
+            }
+        }
+        if (foodCount > 0) {
+            foodSteeringForce /= float(foodCount); // Average steering if multiple foods nearby
+            steer(totalSteeringForce, FORCE_FOOD, foodSteeringForce * foodWeight);
+        }
+
+
+        // --- Add Steering for Automatic Predator Sources (Repulsors) ---
+        vec3 predatorSteeringForce = vec3(0.0);
+        int predatorCount = 0;
+        for (int i = 0; i < MAX_PREDATORS; i++) {
+             if (predatorActive[i]) {
+                vec3 vecFromPredator = position - predatorPositions[i]; // Vector pointing away
+                float distToPredator = length(vecFromPredator);
+
+                if (distToPredator > 0.0 && distToPredator < predatorRadius) {
+                    // Calculate desired velocity (maxSpeed directly away)
+                    vec3 desiredFlee = normalize(vecFromPredator) * topSpeed;
+                     // Calculate steering force (Desired - Current)
+                     // Make force stronger closer to the predator
+                    predatorSteeringForce += (desiredFlee - velocity) * (predatorRadius / max(distToPredator, 0.1));
+                    predatorCount++;
+                }
+             }
+        }
+        if (predatorCount > 0) {
+            predatorSteeringForce /= float(predatorCount); // Average steering if multiple predators nearby
+            steer(totalSteeringForce, FORCE_PREDATOR, predatorSteeringForce * predatorWeight);
+        }
+
+
+        // --- Path Following: leaders and a fixed share of the others seek ahead along the path ---
+        bool followsPath = selfIndex < leaderCount || hashIndex(uint(selfIndex) ^ 0x9e3779b9u) < pathShare;
+        if (pathPointCount > 1 && followsPath) {
+            vec3 toTarget = pathTarget(position) - position;
+            if (length(toTarget) > 0.0) {
+                vec3 desiredPath = normalize(toTarget) * topSpeed;
+                steer(totalSteeringForce, FORCE_PATH, (desiredPath - velocity) * pathWeight);
+            }
+        }
+
+
+        // --- Apply Random Steering ("freedom") ---
+        // Seeded per step (not wall-clock time) so a seed + fixed timestep replays exactly
+        float noiseTime = randomSeed + mod(frame, 10000.0) * 0.0167;
+        if (rand(uv + noiseTime * 0.1) > 0.6) {
+             float angle = (rand(uv + noiseTime * 0.2) - 0.5) * 2.0 * PI * freedomFactor * 0.1; // Small random angle change
+             // Simple random turn - could be improved
+             vec3 randomSteer = vec3(cos(angle), sin(angle), (rand(uv + noiseTime * 0.3) - 0.5) * 0.5); // Mostly planar random turn
+             // Rotate random steer to align with current velocity direction somewhat? Or just add it?
+             // For simplicity, add a small world-space random nudge
+             steer(totalSteeringForce, FORCE_RANDOM, randomSteer * 0.5); // Add small random force
+        }
+
+
+        // --- Pointer Tools: repulsor and herd brush steer, gusts push (below) ---
+        float pointerFalloff = 0.0;
+        if (pointerMode != POINTER_NONE) {
+            vec3 fromPointer = position - pointerPosition;
+            float distToPointer = length(fromPointer);
+            pointerFalloff = clamp(1.0 - distToPointer / pointerRadius, 0.0, 1.0);
+
+            if (pointerMode == POINTER_REPULSOR && pointerFalloff > 0.0) {
+                vec3 awayFromPointer = distToPointer > 0.0 ? fromPointer / distToPointer : vec3(0.0, 1.0, 0.0);
+                steer(totalSteeringForce, FORCE_POINTER, (awayFromPointer * topSpeed - velocity) * pointerFalloff * pointerStrength);
+            } else if (pointerMode == POINTER_HERD && pointerFalloff > 0.0) {
+                steer(totalSteeringForce, FORCE_POINTER, (pointerDirection * topSpeed - velocity) * pointerFalloff * pointerStrength);
+            }
+        }
+
+
+        // --- Obstacle Avoidance (look ahead along the heading) ---
+        if (obstacleCount > 0) {
+            float speed = length(velocity);
+            vec3 heading = speed > 0.0 ? velocity / speed : vec3(0.0);
+            vec3 normalNow, normalAhead;
+            float distNow = nearestObstacle(position, normalNow);
+            float distAhead = nearestObstacle(position + heading * obstacleLookAhead, normalAhead);
+            float clearance = min(distNow, distAhead);
+
+            if (clearance < obstacleLookAhead) {
+                vec3 surfaceNormal = distAhead < distNow ? normalAhead : normalNow;
+                float urgency = clamp(1.0 - clearance / obstacleLookAhead, 0.0, 1.0);
+                // Keep the tangential part of the heading and bend it outward, so boids flow around
+                vec3 tangent = heading - dot(heading, surfaceNormal) * surfaceNormal;
+                vec3 desiredAvoid = normalize(tangent + surfaceNormal * urgency) * topSpeed;
+                steer(totalSteeringForce, FORCE_OBSTACLE, (desiredAvoid - velocity) * urgency * obstacleWeight);
+            }
+        }
+
+
+        // --- Steer Away From Walls (soft walls and arenas) ---
+        if (boundaryMode != BOUNDARY_WRAP && boundaryMode != BOUNDARY_REFLECT && wallMargin > 0.0) {
+            vec3 push = wallPush(position);
+            float pushStrength = length(push);
+            if (pushStrength > 0.0) {
+                vec3 desiredInward = normalize(push) * topSpeed;
+                steer(totalSteeringForce, FORCE_WALLS, (desiredInward - velocity) * pushStrength * wallWeight);
+            }
+        }
+
+
+        // --- Apply Total Steering ---
+        totalSteeringForce = limit(totalSteeringForce, maxSteerForce);
+        debugForce(FORCE_TOTAL, totalSteeringForce);
+        vec3 acceleration = totalSteeringForce / MASS;
+        if (pointerMode == POINTER_GUST) {
+            // Wind gusts act on the boids directly rather than through their steering
+            vec3 gust = pointerDirection * topSpeed * pointerFalloff * pointerStrength;
+            acceleration += gust;
+            debugForce(FORCE_POINTER, gust);
+        }
+        vec3 flow = flowAt(position); // So do wind and flow fields
+        acceleration += flow;
+        debugForce(FORCE_FLOW, flow);
+        velocity += acceleration * delta;
+        velocity = limit(velocity, topSpeed);
+
+        // --- Never move into an obstacle: drop the velocity component into its surface ---
+        if (obstacleCount > 0) {
+            vec3 contactNormal;
+            if (nearestObstacle(position + velocity * delta, contactNormal) < 0.0) {
+                velocity -= min(dot(velocity, contactNormal), 0.0) * contactNormal;
+            }
+        }
+
+        // --- Bounce off the boundary if this step would leave the arena ---
+        if (boundaryMode != BOUNDARY_WRAP) {
+            vec3 exitDir = boundaryExit(position + velocity * delta);
+            if (boundaryMode == BOUNDARY_SOFT_WALLS || boundaryMode == BOUNDARY_REFLECT) {
+                // Box: flip each component heading out through a face
+                velocity *= 1.0 - 2.0 * step(0.5, exitDir * sign(velocity));
+            } else if (dot(velocity, exitDir) > 0.0) {
+                // Curved arenas: mirror the velocity about the surface
+                velocity = reflect(velocity, normalize(exitDir));
+            }
+        }
+
+        // --- Life cycle: energy drains faster at speed and refills near food. A parent
+        // gives half its energy to a newborn; boids with none left, or caught, die ---
+        if (lifeCycle) {
+            float speedFraction = length(velocity) / maxSpeed;
+            energy -= (energyDrain + energySpeedDrain * speedFraction * speedFraction) * delta;
+            for (int i = 0; i < MAX_FOOD; i++) {
+                if (foodActive[i] && distance(position, foodPositions[i]) < eatRadius) {
+                    energy += feedRate * delta;
+                    break;
+                }
+            }
+            energy = min(energy, 1.0);
+            if (breeds(selfIndex, selfIndex ^ birthMask)) energy *= 0.5;
+            if (energy <= 0.0 || wasKilled(selfIndex)) {
+                velocity = vec3(0.0);
+                energy = 0.0;
+            }
+        }
+
+        #ifdef DEBUG_FORCES
+        debugOutput[DEBUG_VELOCITY] = vec4(velocity, energy);
+        debugOutput[DEBUG_NEIGHBORS] = vec4(hood.separationCount, hood.alignTotal, hood.cohesionTotal, hood.avoidTotal);
+        for (int n = 0; n < MAX_TOPOLOGICAL_K; n++) debugOutput[DEBUG_NEAREST + n / 4][n % 4] = float(nearestIndex[n]);
+        gl_FragColor = debugOutput[int(gl_FragCoord.x)];
+        #else
+        gl_FragColor = vec4( velocity, energy ); // w carries the energy
+        #endif
+    }
+`;
+
+// Fragment shader for computing position
+const positionShader = /* glsl */`
+    #define INTEGRATOR_EULER 0
+    #define INTEGRATOR_SEMI_IMPLICIT 1
+    #define INTEGRATOR_VERLET 2
+
+    uniform float delta; // Added delta time
+    uniform int integrator;
+    uniform sampler2D textureVelocityNext; // This step's result of the velocity pass, which runs first
+    uniform int birthMask; // Pairs each newborn with its parent (see breeds() in the velocity pass)
+    uniform bool lifeCycle; // When off, dead boids revive in place instead of being born
+
+    ${boundaryCommonShader}
+    ${obstacleCommonShader}
+
+    // Function to wrap position around bounds
+    vec3 wrapAround(vec3 pos) {
+        float halfBounds = bounds * 0.5;
+        pos.x = mod(pos.x + halfBounds, bounds) - halfBounds;
+        pos.y = mod(pos.y + halfBounds, bounds) - halfBounds;
+        pos.z = mod(pos.z + halfBounds, bounds) - halfBounds;
+        return pos;
+    }
+
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 positionData = texture2D( texturePosition, uv );
+        vec3 position = positionData.xyz;
+        vec4 velocityData = texture2D( textureVelocity, uv ); // At the start of the step
+        vec4 velocityNextData = texture2D( textureVelocityNext, uv ); // v + a * delta from the velocity pass
+        vec3 velocity = velocityData.xyz;
+        vec3 velocityNext = velocityNextData.xyz;
+
+        // Born this step: start just behind the parent, as its species
+        if (lifeCycle && velocityData.w <= 0.0 && velocityNextData.w > 0.0) {
+            int parent = (int(gl_FragCoord.y) * int(resolution.x) + int(gl_FragCoord.x)) ^ birthMask;
+            vec4 parentData = texelFetch(texturePosition, ivec2(parent % int(resolution.x), parent / int(resolution.x)), 0);
+            gl_FragColor = vec4( parentData.xyz - velocityNext * delta, parentData.w );
+            return;
+        }
+
+        // Update position based on velocity and delta time. Semi-implicit Euler moves with
+        // the updated velocity; Verlet adds a * delta^2 / 2 to explicit Euler, which with
+        // the step's constant acceleration is moving at the mean of the two velocities.
+        if (integrator == INTEGRATOR_SEMI_IMPLICIT) {
+            position += velocityNext * delta;
+        } else if (integrator == INTEGRATOR_VERLET) {
+            position += 0.5 * (velocity + velocityNext) * delta;
+        } else {
+            position += velocity * delta;
+        }
+
+        // Wrap around the simulation bounds, or keep inside the walls/arena
+        position = boundaryMode == BOUNDARY_WRAP ? wrapAround(position) : confine(position);
+
+        // Push anything that ended up inside an obstacle back out to its surface
+        vec3 obstacleNormal;
+        float obstacleDist = nearestObstacle(position, obstacleNormal);
+        if (obstacleDist < 0.0) {
+            position -= obstacleNormal * obstacleDist;
+        }
+
+        gl_FragColor = vec4( position, positionData.w ); // w carries the species id
+    }
+`;
+
+// Species assignment: a stable hash of each boid's index is compared against the
+// cumulative species shares, so changing a share only moves the boids it must.
+const speciesAssignShader = /* glsl */`
+    uniform sampler2D texturePosition;
+    uniform float speciesThreshold[${MAX_SPECIES}]; // Cumulative shares (the last active one is 1.0)
+    uniform float speciesSalt; // Derived from PARAMS.seed
+
+    ${hashCommonShader}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec4 positionData = texture2D( texturePosition, uv );
+        uint index = uint(gl_FragCoord.y) * uint(resolution.x) + uint(gl_FragCoord.x);
+        float r = hashIndex(index ^ uint(speciesSalt));
+
+        int species = ${MAX_SPECIES - 1};
+        for (int i = ${MAX_SPECIES - 1}; i >= 0; i--) {
+            if (r < speciesThreshold[i]) species = i;
+        }
+        gl_FragColor = vec4( positionData.xyz, float(species) );
+    }
+`;
+
+// Vertex shader additions for the bird material: each instance reads its own
+// position/velocity texel (by gl_InstanceID) and is oriented along its velocity,
+// so no per-frame CPU readback or matrix updates are needed.
+const birdVertexHeader = /* glsl */`
+    uniform sampler2D texturePosition;
+    uniform sampler2D textureVelocity;
+    uniform sampler2D texturePositionPrevious;
+    uniform float birdInterpolation;
+    uniform float bounds;
+    uniform vec2 birdResolution; // Size of the simulation textures
+    uniform float birdScale;
+    uniform vec3 speciesColor[${MAX_SPECIES}];
+    uniform float speciesScale[${MAX_SPECIES}];
+    uniform int birdLeaderCount; // Leaders are the first boids
+    uniform vec3 birdLeaderColor;
+    uniform int birdInspected;   // Boid shown in the force inspector, or -1
+    uniform float birdInspectRadius; // Its largest interaction radius
+    uniform int birdInspectNeighbors[${MAX_TOPOLOGICAL_K}]; // Its nearest neighbours in topological mode (-1 = none)
+    uniform float viewCosine;
+    uniform int topologicalK;
+    uniform vec3 birdInspectColor;
+    uniform vec3 birdInspectNeighborColor;
+
+    // Colouring (see COLOR_MODES)
+    #define COLOR_SPECIES ${COLOR_MODES['Species']}
+    #define COLOR_SOLID ${COLOR_MODES['Solid Colour']}
+    #define COLOR_SPEED ${COLOR_MODES['Speed']}
+    #define COLOR_HEADING ${COLOR_MODES['Heading']}
+    #define COLOR_DENSITY ${COLOR_MODES['Local Density']}
+    #define COLOR_PREDATOR ${COLOR_MODES['Nearest Predator']}
+    #define COLOR_ENERGY ${COLOR_MODES['Energy']}
+    #define COLOR_MAP_STOPS ${COLOR_MAP_STOPS}
+    #define MAX_PREDATORS ${MAX_PREDATORS}
+    uniform int birdColorMode;
+    uniform vec3 birdSolidColor;
+    uniform vec3 colorMapStops[COLOR_MAP_STOPS]; // Linear RGB, evenly spaced from 0 to 1
+    uniform float maxSpeed;
+    uniform float birdDensityRange;
+    uniform vec3 predatorPositions[MAX_PREDATORS];
+    uniform bool predatorActive[MAX_PREDATORS];
+    uniform float predatorRadius;
+    uniform sampler2D textureCellRange; // From the spatial grid, for Local Density
+
+    ${gridCommonShader}
+
+    vec3 colorMap(float t) {
+        float x = clamp(t, 0.0, 1.0) * float(COLOR_MAP_STOPS - 1);
+        int i = min(int(x), COLOR_MAP_STOPS - 2);
+        return mix(colorMapStops[i], colorMapStops[i + 1], x - float(i));
+    }
+
+    // Fully saturated hue in [0, 1], softened a little and roughly linearised
+    vec3 hueColor(float hue) {
+        vec3 rgb = clamp(abs(mod(hue * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+        return pow(mix(vec3(1.0), rgb, 0.85), vec3(2.2));
+    }
+
+    // Boids in the 27 grid cells around position (cells are about an interaction radius wide)
+    float localDensity(vec3 position) {
+        ivec3 cell = gridCellCoord(position);
+        float count = 0.0;
+        for (int dz = -1; dz <= 1; dz++) {
+            for (int dy = -1; dy <= 1; dy++) {
+                for (int dx = -1; dx <= 1; dx++) {
+                    ivec3 neighborCell = cell + ivec3(dx, dy, dz);
+                    if (any(lessThan(neighborCell, ivec3(0))) || any(greaterThanEqual(neighborCell, ivec3(gridDim)))) continue;
+                    vec2 range = texelFetch(textureCellRange, gridCellTexel(gridCellIndex(neighborCell)), 0).xy;
+                    count += range.y - range.x;
+                }
+            }
+        }
+        return count - 1.0; // Not counting itself
+    }
+
+    vec3 birdColor(int species, vec3 position, vec3 velocity, float energy) {
+        bool leader = gl_InstanceID < birdLeaderCount;
+        if (birdColorMode == COLOR_SOLID) return leader ? birdLeaderColor : birdSolidColor;
+        if (birdColorMode == COLOR_SPEED) return colorMap(length(velocity) / maxSpeed);
+        if (birdColorMode == COLOR_HEADING) return hueColor(atan(velocity.z, velocity.x) / 6.28318531 + 0.5);
+        if (birdColorMode == COLOR_DENSITY) return colorMap(localDensity(position) / birdDensityRange);
+        if (birdColorMode == COLOR_ENERGY) return colorMap(energy);
+        if (birdColorMode == COLOR_PREDATOR) {
+            float nearest = 1e20;
+            for (int i = 0; i < MAX_PREDATORS; i++) {
+                if (predatorActive[i]) nearest = min(nearest, distance(position, predatorPositions[i]));
+            }
+            return colorMap(1.0 - nearest / predatorRadius);
+        }
+        return leader ? birdLeaderColor : speciesColor[species];
+    }
+
+    // Pick out the inspected boid and its neighbours; everyone else is dimmed
+    vec3 birdHighlight(vec3 color, vec3 position) {
+        if (birdInspected < 0) return color;
+        if (gl_InstanceID == birdInspected) return birdInspectColor;
+        ivec2 inspectedTexel = ivec2(birdInspected % int(birdResolution.x), birdInspected / int(birdResolution.x));
+        vec3 inspectedPosition = texelFetch(texturePosition, inspectedTexel, 0).xyz;
+        vec3 inspectedVelocity = texelFetch(textureVelocity, inspectedTexel, 0).xyz;
+
+        bool neighbor = false;
+        if (topologicalK > 0) {
+            for (int n = 0; n < ${MAX_TOPOLOGICAL_K}; n++) neighbor = neighbor || birdInspectNeighbors[n] == gl_InstanceID;
+        } else {
+            // Within reach and inside the inspected boid's view cone, as in the velocity pass
+            vec3 offset = position - inspectedPosition;
+            float dist = length(offset);
+            vec3 heading = length(inspectedVelocity) > 0.0 ? normalize(inspectedVelocity) : vec3(0.0);
+            neighbor = dist < birdInspectRadius && (dot(heading, heading) == 0.0 || dot(offset, heading) >= viewCosine * dist);
+        }
+        return neighbor ? birdInspectNeighborColor : color * 0.3;
+    }
+
+    // Rotation taking the model's +Z (cone tip) onto the velocity direction, like Object3D.lookAt
+    mat3 birdOrientation(vec3 velocity) {
+        if (dot(velocity, velocity) < 0.001) return mat3(1.0);
+        vec3 forward = normalize(velocity);
+        vec3 up = abs(forward.y) > 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(0.0, 1.0, 0.0);
+        vec3 right = normalize(cross(up, forward));
+        return mat3(right, cross(forward, right), forward);
+    }
+`;
+
+const birdMainStart = /* glsl */`
+void main() {
+    ivec2 birdTexel = ivec2(gl_InstanceID % int(birdResolution.x), gl_InstanceID / int(birdResolution.x));
+    vec4 birdPositionData = texelFetch(texturePosition, birdTexel, 0);
+    vec3 birdPosition = birdPositionData.xyz;
+    if (birdInterpolation < 1.0) {
+        vec3 birdPrevious = texelFetch(texturePositionPrevious, birdTexel, 0).xyz;
+        // Steps longer than half the bounds are wrap-arounds, not motion
+        if (all(lessThan(abs(birdPosition - birdPrevious), vec3(bounds * 0.5)))) {
+            birdPosition = mix(birdPrevious, birdPosition, birdInterpolation);
+        }
+    }
+    vec4 birdVelocityData = texelFetch(textureVelocity, birdTexel, 0);
+    vec3 birdVelocity = birdVelocityData.xyz;
+    bool birdAlive = birdVelocityData.w > 0.0; // Dead boids (no energy) are not drawn
+    int birdSpecies = int(birdPositionData.w + 0.5);
+    mat3 birdRotation = birdOrientation(birdVelocity);
+`;
+
+const birdColorVertex = /* glsl */`
+    vColor = birdHighlight(birdColor(birdSpecies, birdPosition, birdVelocity, birdVelocityData.w), birdPosition);
+`;
+
+// Fragment additions: each bird also glows in its own colour, so bloom picks it up
+const birdFragmentHeader = /* glsl */`
+    uniform float birdEmissive;
+`;
+
+const birdEmissiveFragment = /* glsl */`
+    #include <emissivemap_fragment>
+    totalEmissiveRadiance += vColor * birdEmissive;
+`;
+
+const birdBeginNormalVertex = /* glsl */`
+    vec3 objectNormal = birdRotation * vec3( normal );
+`;
+
+const birdBeginVertex = /* glsl */`
+    float birdSize = birdScale * speciesScale[birdSpecies] * (gl_InstanceID == birdInspected ? 2.0 : 1.0) * (birdAlive ? 1.0 : 0.0);
+    vec3 transformed = birdRotation * (vec3( position ) * birdSize) + birdPosition;
+`;
+
+// Copies the positions of the trailed boids into one layer of the trail ring buffer.
+// Trail i follows boid floor(i * trailStride), so the trails spread over the whole flock.
+const trailWriteShader = /* glsl */`
+    uniform sampler2D texturePosition;
+    uniform vec2 birdResolution;
+    uniform int trailCount;
+    uniform float trailStride;
+
+    void main() {
+        int trailIndex = int(gl_FragCoord.y) * ${TRAIL_TEXTURE_SIZE} + int(gl_FragCoord.x);
+        if (trailIndex >= trailCount) discard;
+        int boid = int(float(trailIndex) * trailStride);
+        gl_FragColor = texelFetch(texturePosition, ivec2(boid % int(birdResolution.x), boid / int(birdResolution.x)), 0);
+    }
+`;
+
+// One camera-facing ribbon per trail instance. position.x is the sample's age in steps
+// (0 = newest) and position.y the side of the ribbon (-1 or 1).
+const trailVertexShader = /* glsl */`
+    #define TRAIL_MAX_LENGTH ${TRAIL_MAX_LENGTH}
+    #define TRAIL_TEXTURE_SIZE ${TRAIL_TEXTURE_SIZE}
+
+    uniform sampler2DArray trailTexture;
+    uniform int trailHead;   // Layer written last
+    uniform int trailLength; // Samples drawn (see setTrailLength()); less than asked for until the buffer has filled
+    uniform float trailWidth;
+    uniform float trailFade;
+    uniform float trailGlow;
+    uniform float bounds;
+    uniform vec3 speciesColor[${MAX_SPECIES}];
+    varying vec4 vTrailColor;
+
+    vec4 trailSample(ivec2 texel, int age) {
+        int layer = (trailHead - age + TRAIL_MAX_LENGTH) % TRAIL_MAX_LENGTH;
+        return texelFetch(trailTexture, ivec3(texel, layer), 0);
+    }
+
+    void main() {
+        int age = int(position.x);
+        ivec2 texel = ivec2(gl_InstanceID % TRAIL_TEXTURE_SIZE, gl_InstanceID / TRAIL_TEXTURE_SIZE);
+        vec4 current = trailSample(texel, age);
+        vec3 newer = trailSample(texel, max(age - 1, 0)).xyz;
+        vec3 older = trailSample(texel, min(age + 1, trailLength - 1)).xyz;
+
+        // Widen across the trail in view space so the ribbon always faces the camera
+        vec4 viewPosition = modelViewMatrix * vec4(current.xyz, 1.0);
+        vec3 viewTangent = (modelViewMatrix * vec4(newer - older, 0.0)).xyz;
+        vec2 side = dot(viewTangent.xy, viewTangent.xy) > 1e-8 ? normalize(vec2(-viewTangent.y, viewTangent.x)) : vec2(0.0);
+        float remaining = 1.0 - float(age) / float(trailLength);
+        viewPosition.xy += side * position.y * trailWidth * 0.5 * remaining;
+        gl_Position = projectionMatrix * viewPosition;
+
+        // Steps longer than half the bounds are wrap-arounds; hide the segments either side
+        vec3 halfBounds = vec3(bounds * 0.5);
+        bool wrapped = any(greaterThan(abs(current.xyz - newer), halfBounds)) || any(greaterThan(abs(older - current.xyz), halfBounds));
+        vTrailColor = vec4(speciesColor[int(current.w + 0.5)] * trailGlow, wrapped ? 0.0 : pow(remaining, trailFade));
+    }
+`;
+
+const trailFragmentShader = /* glsl */`
+    varying vec4 vTrailColor;
+
+    void main() {
+        gl_FragColor = vTrailColor;
+    }
+`;
+
+// --- Simulation ---
+// createBoids() builds one self-contained flock inside container: its own renderer,
+// scene, GPU compute passes and GUI, sized to follow the container. Several can share
+// a page.
+//
+// options:
+//   params      Partial PARAMS applied over the defaults
+//   seed        Seed for the initial state (default: ?seed= with urlState, else random)
+//   urlState    Read and write ?seed= and #params= in the page URL (default false)
+//   storageKey  localStorage key for saved settings, or null for none
+//   gui         Show the lil-gui panel (default true)
+//   autoStart   Start the animation loop straight away (default true)
+//
+// The result is an EventDispatcher with start(), stop(), step(delta), dispose(),
+// setParams(values) and getParams(). It fires 'frame' after every rendered frame,
+// 'predatorCatch' when a predator catches a boid and 'paramsChanged' when PARAMS
+// change through the GUI or setParams().
+export function createBoids(container, options = {}) {
+    const urlState = options.urlState ?? false;
+    const storageKey = options.storageKey === undefined ? PRESET_STORAGE_KEY : options.storageKey;
+    const simulation = new THREE.EventDispatcher();
+
+    // This simulation's parameters: the defaults, then options.params, then (in init)
+    // any shared link or saved settings
+    const PARAMS = JSON.parse(JSON.stringify(DEFAULT_PARAMS));
+    mergeParams(PARAMS, options.params ?? {});
+    PARAMS.seed = options.seed ?? initialSeed(urlState);
+
+    // --- Global Variables ---
+    let scene, camera, renderer, controls;
+    let gpuCompute;
+    let numBirds;                      // Current flock size (PARAMS.flockSize once applied)
+    let textureWidth, textureHeight;   // Simulation texture size; texels past numBirds are unused
+    let velocityVariable, positionVariable;
+    let positionUniforms, velocityUniforms;
+    let gridKeyMaterial, gridSortMaterial, gridRangeMaterial;
+    let gridKeyTargets = []; // Ping-pong targets for the bitonic sort
+    let gridRangeTarget;
+    let birdMesh;
+    let birdUniforms; // Shared with the bird material's vertex shader
+    let speciesAssignMaterial; // Writes species ids into the position texture's w
+    let speciesFolder;
+    let flockState = { positions: null, velocities: null, positionBuffer: null, velocityBuffer: null, time: -Infinity, frame: -1 }; // Throttled CPU copy, see getFlockState()
+    let composer, bloomPass, fxaaPass;
+    let stats; // Frame time panel, toggled from the Simulation folder
+    let clock = new THREE.Clock();
+    let random = createRandom(PARAMS.seed); // Seeded replacement for Math.random()
+    let simulationTime = 0; // Seconds of simulated time (sum of scaled deltas)
+    let simulationFrame = 0; // Number of compute steps since the last (re)start
+    let pendingKills = []; // Boids caught by predators since the last step (see catchBoid())
+    let accumulator = 0; // Simulated seconds fed in but not yet stepped
+    let previousPositionTarget; // Positions before the last step, for render interpolation
+    const FIXED_TIMESTEP = 1 / 60;
+    let gui;
+    let mouse = new THREE.Vector2(-1, -1); // Normalized mouse coords
+    let raycaster = new THREE.Raycaster();
+    let pointerPlane = new THREE.Plane(); // Camera-facing plane through the orbit target
+    let pointer = {
+        active: false,                 // A tool drag is in progress
+        start: new THREE.Vector3(),    // Where the drag began
+        point: new THREE.Vector3(),    // Latest point on the pointer plane
+        previous: new THREE.Vector3(), // Point the herd direction was last measured from
+        direction: new THREE.Vector3(),
+        gustTimer: 0                   // Seconds left on the current gust
+    };
+    let pointerMarker, gustArrow; // Visual feedback for the tools
+    let pathLine, pathMarkers; // The path's spline and its waypoints
+    let flowArrows; // Debug arrows on a slice through the flow field
+    let flowFieldTexture = null; // Baked field loaded from a file
+    let vortexFolders = [];
+    let foodCountColumnMaterial, foodCountTotalMaterial; // GPU reduction counting boids near each food
+    let foodCountColumnTarget, foodCountTotalTarget;
+    let foodCounts = new Float32Array(MAX_FOOD * 4); // Readback of foodCountTotalTarget
+    let foodMeasureElapsed = 0; // Simulated seconds since food was last measured
+    let catchColumnMaterial, catchTotalMaterial; // GPU reduction finding the boid nearest each predator
+    let catchColumnTarget, catchTotalTarget;
+    let catchReadback = new Float32Array(MAX_PREDATORS * 4); // Readback of catchTotalTarget
+    let catchPending = false; // A catch readback is in flight
+    let nextFoodSlot = 0; // Round-robin slot reused when dropping food with no free slot
+
+    let obstacles = [];        // Array to hold { type, position, radius, halfSize, direction, length, visual, folder }
+    let obstacleMaterial;
+    let obstacleFolder;
+    let foodSources = [];      // Array to hold { position, orbitParams:{radius, speedFactor, phase, vertAmp, vertFreq, vertPhase}, active, visual }
+    let predatorSources = [];  // Array to hold { position, velocity, target, targetPosition, targetVelocity, targetTime, timer, rest, catches, active, visual }
+    let predatorStats = { totalCatches: 0 };
+    let timing = { droppedShare: 0, dropped: 0 }; // Share (smoothed) and percentage of simulated time dropped by the step cap
+    let predatorSenseTimer = 0; // Counts down to the predators' next look at the flock
+    let recorder = { active: false, frames: [], previous: null, elapsed: 0, time: 0, params: null, positionScale: 1, velocityScale: 1 };
+    let replay = { active: false, playing: true, time: 0, duration: 0, header: null, frames: [], frameA: null, frameB: null, positionTexture: null, velocityTexture: null, controllers: [], restore: null }; // restore: live settings and flock to return to
+    let recordFolder;
+    let metrics = { elapsed: Infinity, job: null, pending: false, positionBuffer: null, velocityBuffer: null, history: {}, rows: {}, dom: null };
+    let exporter = { active: false, elapsed: 0, remaining: 0, indices: null, samples: [], button: null };
+    let clip = { active: false, cancelled: false, frame: 0, frames: 0, dom: null, label: null, progress: null };
+    let legend = { dom: null, title: null, bar: null, min: null, max: null }; // Colour scale overlay
+    let trail = { target: null, writeQuad: null, mesh: null, head: -1, filled: 0 }; // Motion trail ring buffer
+    let inspector = {
+        boid: -1,                                        // Inspected boid, or -1
+        material: null,                                  // DEBUG_FORCES variant of the velocity pass
+        target: null,                                    // Its DEBUG_TEXELS x 1 output
+        readback: new Float32Array(DEBUG_TEXELS * 4),
+        incoming: new Float32Array(DEBUG_TEXELS * 4),    // Asynchronous readback in flight
+        pending: false,
+        stale: true,                                     // readback is from another boid or step
+        reader: createBoidReader(),                      // The inspected boid
+        arrows: [],                                      // One per DEBUG_FORCES entry
+        dom: null, title: null, details: null, values: []
+    };
+    let cameraRig = {
+        mode: 'free',                        // Mode the camera last ran in
+        transition: 1,                       // Progress (0 to 1) of the ease out of the previous mode
+        fromPosition: new THREE.Vector3(),   // The view when the mode changed
+        fromTarget: new THREE.Vector3(),
+        position: new THREE.Vector3(),       // Where the current mode wants the camera, smoothed
+        target: new THREE.Vector3(),         // and what it wants it to look at
+        look: new THREE.Vector3(),           // What the camera is looking at right now
+        heading: new THREE.Vector3(0, 0, -1), // Smoothed direction of the followed boid
+        snap: true,                          // Take the next goal as is instead of smoothing towards it
+        orbitAngle: 0,
+        dollyTime: 0,
+        curve: null,                         // Dolly path, once it has two points
+        center: new THREE.Vector3(),         // Last result of flockCenter()
+        centerSnapshot: '',                  // and the flock snapshot it came from
+        reader: createBoidReader()           // The followed boid
+    };
+    let resizeObserver; // Follows the container size
+    let running = false;
+    let disposed = false;
+
+    // --- Initialization Functions ---
+
+    function init() {
+        loadInitialParams();
+        setFlockDimensions(PARAMS.flockSize);
+
+        scene = new THREE.Scene();
+        scene.fog = new THREE.FogExp2(PARAMS.fogColor, PARAMS.fogDensity); // Add atmospheric fog
+
+        const width = Math.max(container.clientWidth, 1);
+        const height = Math.max(container.clientHeight, 1);
+        camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 2000);
+        camera.position.z = BOUNDS * 0.6;
+        camera.position.y = BOUNDS * 0.2;
+
+        renderer = new THREE.WebGLRenderer({ antialias: false }); // AA handled by post-processing
+        renderer.setSize(width, height);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.toneMapping = THREE.ACESFilmicToneMapping; // For better HDR handling with Bloom
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative'; // Anchor for the GUI and overlays
+        }
+        container.appendChild(renderer.domElement);
+
+        controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.minDistance = 50;
+        controls.maxDistance = 1000;
+        controls.target.set(0, 0, 0);
+
+
+        initGPUCompute();
+        initSpatialGrid();
+        initDebugForces();
+        initBirds();
+        initSpecies();
+        initTrails();
+        initLighting();
+        initEnvironment();
+        initAttractorsPredators();
+        initPointerTools();
+        initPath();
+        initFlowField();
+        updateCameraPath();
+        // initStarfield(); 
+        initPostProcessing();
+        initGUI();
+
+        // Event Listeners
+        resizeObserver = new ResizeObserver(onResize); // Follow the container, not the window
+        resizeObserver.observe(container);
+        if (urlState) window.addEventListener('hashchange', onHashChange);
+        renderer.domElement.addEventListener('pointerdown', onPointerDown); // Attach to canvas
+        renderer.domElement.addEventListener('pointerup', onPointerUp);     // Attach to canvas
+        renderer.domElement.addEventListener('pointermove', onPointerMove); // Attach to canvas
+
+        // Stats (frame time), hidden until enabled in the GUI
+        stats = new Stats();
+        stats.dom.style.display = PARAMS.showStats ? '' : 'none';
+        stats.dom.style.position = 'absolute';
+        container.appendChild(stats.dom);
+        initMetricsOverlay();
+        initColorLegend();
+        initInspector();
+        initClipOverlay();
+
+        console.log(`Initialized ${numBirds} boids.`);
+    }
+
+    // previous: the flock to carry over when rebuilding at another size (see setFlockSize)
+    function initGPUCompute(previous = null) {
+        gpuCompute = new GPUComputationRenderer(textureWidth, textureHeight, renderer);
+
+        if (renderer.capabilities.isWebGL2 === false) {
+            gpuCompute.setDataType(THREE.HalfFloatType); // Fallback for WebGL1
+        }
+
+        // Create initial state textures
+        const dtPosition = gpuCompute.createTexture();
+        const dtVelocity = gpuCompute.createTexture();
+        fillPositionTexture(dtPosition, previous);
+        fillVelocityTexture(dtVelocity, previous);
+
+        // Add texture variables
+        velocityVariable = gpuCompute.addVariable("textureVelocity", velocityShader, dtVelocity);
+        positionVariable = gpuCompute.addVariable("texturePosition", positionShader, dtPosition);
+
+        // Add dependencies and uniforms
+        gpuCompute.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+        gpuCompute.setVariableDependencies(positionVariable, [positionVariable, velocityVariable]);
+
+        const previousUniforms = { position: positionUniforms, velocity: velocityUniforms };
+        positionUniforms = positionVariable.material.uniforms;
+        velocityUniforms = velocityVariable.material.uniforms;
+
+        velocityUniforms["frame"] = { value: 0.0 };
+        velocityUniforms["randomSeed"] = { value: shaderSeed(PARAMS.seed) };
+        velocityUniforms["delta"] = { value: 0.0 }; // Delta time uniform
+        velocityUniforms["separationDistance"] = { value: PARAMS.separationDistance };
+        velocityUniforms["alignmentDistance"] = { value: PARAMS.alignmentDistance };
+        velocityUniforms["cohesionDistance"] = { value: PARAMS.cohesionDistance };
+        velocityUniforms["freedomFactor"] = { value: PARAMS.freedomFactor };
+        velocityUniforms["birdCount"] = { value: numBirds };
+
+        velocityUniforms["neighborSearchMode"] = { value: PARAMS.neighborSearch === 'grid' ? 0 : 1 };
+        velocityUniforms["viewCosine"] = { value: Math.cos(THREE.MathUtils.degToRad(PARAMS.viewAngle / 2)) };
+        velocityUniforms["topologicalK"] = { value: PARAMS.neighborRule === 'topological' ? PARAMS.topologicalK : 0 };
+        velocityUniforms["textureSortedBoids"] = { value: null };
+        velocityUniforms["textureCellRange"] = { value: null };
+        velocityUniforms["gridCellCap"] = { value: PARAMS.gridCellCap };
+        velocityUniforms["gridCellSize"] = { value: PARAMS.bounds };
+        velocityUniforms["gridDim"] = { value: 1 };
+
+        velocityUniforms["foodPositions"] = { value: new Array(MAX_FOOD).fill(new THREE.Vector3()) };
+        velocityUniforms["foodActive"] = { value: new Array(MAX_FOOD).fill(false) };
+        velocityUniforms["predatorPositions"] = { value: new Array(MAX_PREDATORS).fill(new THREE.Vector3()) };
+        velocityUniforms["predatorActive"] = { value: new Array(MAX_PREDATORS).fill(false) };
+        velocityUniforms["foodWeight"] = { value: PARAMS.foodWeight };
+        velocityUniforms["predatorWeight"] = { value: PARAMS.predatorWeight };
+        velocityUniforms["foodRadius"] = { value: PARAMS.foodRadius };
+        velocityUniforms["foodOrbitSpeed"] = { value: PARAMS.foodOrbitSpeed };
+        velocityUniforms["predatorRadius"] = { value: PARAMS.predatorRadius };
+
+        velocityUniforms["separationWeight"] = { value: PARAMS.separationWeight };
+        velocityUniforms["alignmentWeight"] = { value: PARAMS.alignmentWeight };
+        velocityUniforms["cohesionWeight"] = { value: PARAMS.cohesionWeight };
+        velocityUniforms["predatorWeight"] = { value: PARAMS.predatorWeight };
+        velocityUniforms["maxSpeed"] = { value: PARAMS.maxSpeed };
+        velocityUniforms["maxSteerForce"] = { value: PARAMS.maxSteerForce };
+
+        // Life cycle
+        velocityUniforms["lifeCycle"] = { value: PARAMS.lifeCycle };
+        velocityUniforms["energyDrain"] = { value: PARAMS.energyDrain };
+        velocityUniforms["energySpeedDrain"] = { value: PARAMS.energySpeedDrain };
+        velocityUniforms["feedRate"] = { value: PARAMS.feedRate };
+        velocityUniforms["eatRadius"] = { value: PARAMS.eatRadius };
+        velocityUniforms["birthEnergy"] = { value: PARAMS.birthEnergy };
+        velocityUniforms["birthRate"] = { value: PARAMS.birthRate };
+        velocityUniforms["birthMask"] = { value: 1 }; // Set before each compute
+        velocityUniforms["killList"] = { value: new Array(MAX_KILLS).fill(-1) };
+
+        velocityUniforms["speciesWeights"] = { value: Array.from({ length: MAX_SPECIES }, () => new THREE.Vector4(1, 1, 1, 1)) };
+        velocityUniforms["speciesRadius"] = { value: new Array(MAX_SPECIES).fill(1.0) };
+        velocityUniforms["speciesInteraction"] = { value: new Array(MAX_SPECIES * MAX_SPECIES).fill(0.0) };
+        velocityUniforms["speciesAvoidWeight"] = { value: PARAMS.speciesAvoidWeight };
+
+        velocityUniforms["pathPoints"] = { value: Array.from({ length: PATH_SAMPLES }, () => new THREE.Vector3()) };
+        velocityUniforms["pathPointCount"] = { value: 0 };
+        velocityUniforms["pathClosed"] = { value: PARAMS.pathClosed };
+        velocityUniforms["pathSpacing"] = { value: 1.0 };
+        velocityUniforms["pathWeight"] = { value: PARAMS.pathWeight };
+        velocityUniforms["pathLookAhead"] = { value: PARAMS.pathLookAhead };
+        velocityUniforms["pathShare"] = { value: PARAMS.pathShare };
+        velocityUniforms["leaderCount"] = { value: PARAMS.leaderCount };
+        velocityUniforms["leaderAlignment"] = { value: PARAMS.leaderAlignment };
+
+        velocityUniforms["flowActive"] = { value: false };
+        velocityUniforms["flowStrength"] = { value: PARAMS.flowStrength };
+        velocityUniforms["windVelocity"] = { value: new THREE.Vector3() };
+        velocityUniforms["vortexShape"] = { value: Array.from({ length: MAX_VORTICES }, () => new THREE.Vector4()) };
+        velocityUniforms["vortexAxis"] = { value: Array.from({ length: MAX_VORTICES }, () => new THREE.Vector4()) };
+        velocityUniforms["vortexCount"] = { value: 0 };
+        velocityUniforms["turbulenceStrength"] = { value: PARAMS.turbulenceStrength };
+        velocityUniforms["turbulenceScale"] = { value: PARAMS.turbulenceScale };
+        velocityUniforms["turbulencePhase"] = { value: 0.0 };
+        velocityUniforms["flowFieldTexture"] = { value: null };
+        velocityUniforms["bakedFieldStrength"] = { value: 0.0 };
+        velocityUniforms["flowFieldMin"] = { value: new THREE.Vector3() };
+        velocityUniforms["flowFieldSize"] = { value: new THREE.Vector3(1, 1, 1) };
+
+        velocityUniforms["bounds"] = { value: PARAMS.bounds };
+        velocityUniforms["boundaryMode"] = { value: PARAMS.boundaryMode };
+        velocityUniforms["wallMargin"] = { value: PARAMS.wallMargin };
+        velocityUniforms["wallWeight"] = { value: PARAMS.wallWeight };
+
+        velocityUniforms["obstacleShape"] = { value: Array.from({ length: MAX_OBSTACLES }, () => new THREE.Vector4()) };
+        velocityUniforms["obstacleSize"] = { value: Array.from({ length: MAX_OBSTACLES }, () => new THREE.Vector4()) };
+        velocityUniforms["obstacleCount"] = { value: 0 };
+        velocityUniforms["obstacleWeight"] = { value: PARAMS.obstacleWeight };
+        velocityUniforms["obstacleLookAhead"] = { value: PARAMS.obstacleLookAhead };
+
+        velocityUniforms["pointerMode"] = { value: POINTER_MODES.none };
+        velocityUniforms["pointerPosition"] = { value: new THREE.Vector3() };
+        velocityUniforms["pointerDirection"] = { value: new THREE.Vector3() };
+        velocityUniforms["pointerRadius"] = { value: PARAMS.toolRadius };
+        velocityUniforms["pointerStrength"] = { value: 0.0 };
+
+        positionUniforms["delta"] = { value: 0.0 }; // Delta time uniform
+        positionUniforms["integrator"] = { value: PARAMS.integrator };
+        positionUniforms["textureVelocityNext"] = { value: null }; // Set before each compute
+        positionUniforms["birthMask"] = velocityUniforms["birthMask"];
+        positionUniforms["lifeCycle"] = velocityUniforms["lifeCycle"];
+        positionUniforms["obstacleShape"] = velocityUniforms["obstacleShape"];
+        positionUniforms["obstacleSize"] = velocityUniforms["obstacleSize"];
+        positionUniforms["obstacleCount"] = velocityUniforms["obstacleCount"];
+        positionUniforms["bounds"] = velocityUniforms["bounds"];
+        positionUniforms["boundaryMode"] = velocityUniforms["boundaryMode"];
+
+        // On a rebuild keep the live uniforms (food, predators, obstacles, pointer...) and
+        // their sharing between passes; the dependency samplers are re-added by init()
+        if (previousUniforms.velocity) {
+            Object.assign(velocityUniforms, previousUniforms.velocity);
+            Object.assign(positionUniforms, previousUniforms.position);
+            velocityUniforms["birdCount"].value = numBirds;
+        }
+
+        // Check for completeness
+        const error = gpuCompute.init();
+        if (error !== null) {
+            console.error('GPUComputationRenderer Error: ' + error);
+        }
+
+        previousPositionTarget = gpuCompute.createRenderTarget();
+        savePreviousPositions();
+    }
+
+    // Keep the positions from before a step for drawing the boids between steps
+    function savePreviousPositions() {
+        gpuCompute.renderTexture(gpuCompute.getCurrentRenderTarget(positionVariable).texture, previousPositionTarget);
+    }
+
+    // --- Spatial Grid (neighbour search) ---
+    // Each frame the boids are keyed by grid cell, bitonic-sorted by key and the
+    // [start, end) range of every cell is located in the sorted list, so the
+    // velocity pass can visit the boids in the 27 cells around it.
+    function initSpatialGrid() {
+        gridKeyMaterial = gpuCompute.createShaderMaterial(gridKeyShader, {
+            texturePosition: { value: null },
+            textureVelocity: { value: null },
+            bounds: velocityUniforms["bounds"],
+            birdCount: velocityUniforms["birdCount"],
+            gridCellSize: velocityUniforms["gridCellSize"],
+            gridDim: velocityUniforms["gridDim"]
+        });
+
+        gridSortMaterial = gpuCompute.createShaderMaterial(gridSortShader, {
+            textureKeys: { value: null },
+            blockSize: { value: 2 },
+            compareStep: { value: 1 }
+        });
+
+        gridRangeMaterial = gpuCompute.createShaderMaterial(gridRangeShader, {
+            textureSortedBoids: { value: null },
+            boidResolution: { value: new THREE.Vector2(textureWidth, textureHeight) },
+            gridDim: velocityUniforms["gridDim"]
+        });
+        gridRangeMaterial.defines.resolution = `vec2( ${GRID_TEXTURE_WIDTH.toFixed(1)}, ${GRID_TEXTURE_HEIGHT.toFixed(1)} )`;
+
+        gridKeyTargets = [gpuCompute.createRenderTarget(), gpuCompute.createRenderTarget()];
+        gridRangeTarget = gpuCompute.createRenderTarget(GRID_TEXTURE_WIDTH, GRID_TEXTURE_HEIGHT);
+
+        updateGridUniforms();
+    }
+
+    // Size the cells so that every interaction radius fits inside the 3x3x3 block around a boid
+    function updateGridUniforms() {
+        velocityUniforms["gridCellCap"].value = THREE.MathUtils.clamp(Math.round(PARAMS.gridCellCap), 1, GRID_MAX_PER_CELL);
+        const radiusScale = Math.max(...PARAMS.species.slice(0, PARAMS.speciesCount).map(s => s.radius));
+        const maxRadius = Math.max(PARAMS.separationDistance, PARAMS.alignmentDistance, PARAMS.cohesionDistance) * radiusScale;
+        const dim = THREE.MathUtils.clamp(Math.floor(PARAMS.bounds / maxRadius), 1, GRID_MAX_CELLS_PER_AXIS);
+        velocityUniforms["gridDim"].value = dim;
+        velocityUniforms["gridCellSize"].value = PARAMS.bounds / dim;
+    }
+
+    // Rebuild the sorted boid list and cell ranges from the current positions
+    function updateSpatialGrid() {
+        gridKeyMaterial.uniforms.texturePosition.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+        gridKeyMaterial.uniforms.textureVelocity.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+        gpuCompute.doRenderTarget(gridKeyMaterial, gridKeyTargets[0]);
+
+        // Bitonic sort, one full-screen pass per (block size, compare step)
+        let source = 0;
+        for (let blockSize = 2; blockSize <= textureWidth * textureHeight; blockSize *= 2) {
+            for (let compareStep = blockSize / 2; compareStep > 0; compareStep /= 2) {
+                gridSortMaterial.uniforms.textureKeys.value = gridKeyTargets[source].texture;
+                gridSortMaterial.uniforms.blockSize.value = blockSize;
+                gridSortMaterial.uniforms.compareStep.value = compareStep;
+                gpuCompute.doRenderTarget(gridSortMaterial, gridKeyTargets[1 - source]);
+                source = 1 - source;
+            }
+        }
+        const sortedTexture = gridKeyTargets[source].texture;
+
+        gridRangeMaterial.uniforms.textureSortedBoids.value = sortedTexture;
+        gpuCompute.doRenderTarget(gridRangeMaterial, gridRangeTarget);
+
+        velocityUniforms["textureSortedBoids"].value = sortedTexture;
+        velocityUniforms["textureCellRange"].value = gridRangeTarget.texture;
+    }
+
+    // Random positions, except for the boids of previous (if given), which are copied
+    function fillPositionTexture(texture, previous = null) {
+        const bounds = PARAMS.bounds;
+        const theArray = texture.image.data;
+        const kept = previous ? previous.positions.length : 0;
+        theArray.set(previous ? previous.positions : []);
+        for (let k = kept, kl = theArray.length; k < kl; k += 4) {
+            const x = random() * bounds - bounds / 2;
+            const y = random() * bounds - bounds / 2;
+            const z = random() * bounds - bounds / 2;
+            theArray[k + 0] = x;
+            theArray[k + 1] = y;
+            theArray[k + 2] = z;
+            theArray[k + 3] = 0; // Species id, filled in by assignSpecies()
+        }
+    }
+
+    function fillVelocityTexture(texture, previous = null) {
+        const theArray = texture.image.data;
+        const kept = previous ? previous.velocities.length : 0;
+        theArray.set(previous ? previous.velocities : []);
+        for (let k = kept, kl = theArray.length; k < kl; k += 4) {
+            const x = random() - 0.5;
+            const y = random() - 0.5;
+            const z = random() - 0.5;
+            theArray[k + 0] = x * 10;
+            theArray[k + 1] = y * 10;
+            theArray[k + 2] = z * 10;
+            theArray[k + 3] = 1;
+        }
+    }
+
+    function initBirds() {
+        const birdMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.6,
+            metalness: 0.2,
+            vertexColors: true, // Colour by species, speed... set per instance in the vertex shader
+            // emissive: 0x333333, // Subtle glow
+            side: THREE.DoubleSide
+        });
+
+        birdUniforms = {
+            texturePosition: { value: null },
+            textureVelocity: { value: null },
+            texturePositionPrevious: { value: null },
+            birdInterpolation: { value: 1.0 }, // 0 draws the previous step, 1 the current one
+            bounds: velocityUniforms["bounds"],
+            birdResolution: { value: new THREE.Vector2(textureWidth, textureHeight) },
+            birdScale: { value: PARAMS.birdScale },
+            speciesColor: { value: Array.from({ length: MAX_SPECIES }, () => new THREE.Color()) },
+            speciesScale: { value: new Array(MAX_SPECIES).fill(1.0) },
+            birdLeaderCount: velocityUniforms["leaderCount"],
+            birdLeaderColor: { value: new THREE.Color(PARAMS.leaderColor) },
+            birdColorMode: { value: PARAMS.colorMode },
+            birdSolidColor: { value: new THREE.Color() },
+            colorMapStops: { value: Array.from({ length: COLOR_MAP_STOPS }, () => new THREE.Color()) },
+            maxSpeed: velocityUniforms["maxSpeed"],
+            birdDensityRange: { value: PARAMS.densityRange },
+            predatorPositions: velocityUniforms["predatorPositions"],
+            predatorActive: velocityUniforms["predatorActive"],
+            predatorRadius: velocityUniforms["predatorRadius"],
+            textureCellRange: velocityUniforms["textureCellRange"],
+            gridCellSize: velocityUniforms["gridCellSize"],
+            gridDim: velocityUniforms["gridDim"],
+            birdEmissive: { value: PARAMS.colorEmissive },
+            birdInspected: { value: -1 },
+            birdInspectRadius: { value: 0 },
+            birdInspectNeighbors: { value: new Array(MAX_TOPOLOGICAL_K).fill(-1) },
+            viewCosine: velocityUniforms["viewCosine"],
+            topologicalK: velocityUniforms["topologicalK"],
+            birdInspectColor: { value: new THREE.Color(INSPECT_HIGHLIGHT) },
+            birdInspectNeighborColor: { value: new THREE.Color(INSPECT_NEIGHBOR_HIGHLIGHT) }
+        };
+        updateBirdColors();
+
+        // Position and orient every instance on the GPU from the simulation textures
+        birdMaterial.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, birdUniforms);
+            shader.vertexShader = birdVertexHeader + shader.vertexShader
+                .replace('void main() {', birdMainStart)
+                .replace('#include <color_vertex>', birdColorVertex)
+                .replace('#include <beginnormal_vertex>', birdBeginNormalVertex)
+                .replace('#include <begin_vertex>', birdBeginVertex);
+            shader.fragmentShader = birdFragmentHeader + shader.fragmentShader
+                .replace('#include <emissivemap_fragment>', birdEmissiveFragment);
+        };
+
+        // Instance matrices stay identity; the vertex shader does the placement
+        birdMesh = new THREE.InstancedMesh(BirdGeometry, birdMaterial, numBirds);
+        birdMesh.frustumCulled = false; // Bounds come from the textures, not the instance matrices
+        scene.add(birdMesh);
+    }
+
+    // --- Bird Colours ---
+
+    // The colour map's stops as sRGB hex strings; the custom gradient is resampled to the same count
+    function colorMapStops() {
+        if (PARAMS.colorMap !== 'custom') return COLOR_MAP_PRESETS[PARAMS.colorMap] ?? COLOR_MAP_PRESETS.viridis;
+        const colors = PARAMS.gradientColors.map(hex => new THREE.Color(hex));
+        return Array.from({ length: COLOR_MAP_STOPS }, (_, i) => {
+            const x = i / (COLOR_MAP_STOPS - 1) * (colors.length - 1);
+            const j = Math.min(Math.floor(x), colors.length - 2);
+            return '#' + colors[j].clone().lerp(colors[j + 1], x - j).getHexString();
+        });
+    }
+
+    function updateBirdColors() {
+        birdUniforms.birdColorMode.value = PARAMS.colorMode;
+        birdUniforms.birdSolidColor.value.set(PARAMS.solidColor);
+        birdUniforms.birdDensityRange.value = PARAMS.densityRange;
+        birdUniforms.birdEmissive.value = PARAMS.colorEmissive;
+        colorMapStops().forEach((hex, i) => birdUniforms.colorMapStops.value[i].set(hex));
+        updateColorLegend();
+    }
+
+    function initColorLegend() {
+        legend.dom = document.createElement('div');
+        Object.assign(legend.dom.style, {
+            position: 'absolute', bottom: '10px', left: '50%', transform: 'translateX(-50%)', padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.6)', color: 'white', font: '11px monospace', pointerEvents: 'none'
+        });
+        legend.title = document.createElement('div');
+        legend.bar = document.createElement('div');
+        Object.assign(legend.bar.style, { width: '200px', height: '10px', margin: '4px 0' });
+        const labels = document.createElement('div');
+        Object.assign(labels.style, { display: 'flex', justifyContent: 'space-between' });
+        legend.min = document.createElement('span');
+        legend.max = document.createElement('span');
+        labels.append(legend.min, legend.max);
+        legend.dom.append(legend.title, legend.bar, labels);
+        container.appendChild(legend.dom);
+        updateColorLegend();
+    }
+
+    // Title, gradient and end labels for the current mode; hidden when the colours aren't a scale
+    function updateColorLegend() {
+        if (!legend.dom) return;
+        const mode = PARAMS.colorMode;
+        const scalar = mode !== COLOR_MODES['Species'] && mode !== COLOR_MODES['Solid Colour'];
+        legend.dom.style.display = PARAMS.showLegend && scalar ? '' : 'none';
+        if (!scalar) return;
+
+        let stops = colorMapStops();
+        let title, min, max;
+        if (mode === COLOR_MODES['Speed']) {
+            [title, min, max] = ['Speed', '0', PARAMS.maxSpeed.toFixed(0)];
+        } else if (mode === COLOR_MODES['Heading']) {
+            // Same hues as hueColor() in the bird shader, from -180 to 180 degrees around the y axis
+            const white = new THREE.Color(1, 1, 1);
+            stops = Array.from({ length: 7 }, (_, i) => '#' + white.clone().lerp(new THREE.Color().setHSL(i / 6, 1, 0.5), 0.85).getHexString());
+            [title, min, max] = ['Heading', '-180°', '180°'];
+        } else if (mode === COLOR_MODES['Local Density']) {
+            [title, min, max] = ['Nearby Boids', '0', `${PARAMS.densityRange}+`];
+        } else if (mode === COLOR_MODES['Energy']) {
+            [title, min, max] = ['Energy', '0', '1'];
+        } else {
+            [title, min, max] = ['Nearest Predator', `${PARAMS.predatorRadius.toFixed(0)}+`, '0'];
+        }
+        legend.title.textContent = title;
+        legend.bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        legend.min.textContent = min;
+        legend.max.textContent = max;
+    }
+
+    // --- Motion Trails ---
+    // Every simulation step the trailed boids' positions go into the next layer of an
+    // array render target, and one instanced ribbon per trail reads them back, newest first.
+    function initTrails() {
+        trail.target = new THREE.WebGLArrayRenderTarget(TRAIL_TEXTURE_SIZE, TRAIL_TEXTURE_SIZE, TRAIL_MAX_LENGTH, {
+            type: THREE.FloatType,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false
+        });
+        trail.writeQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+            uniforms: {
+                texturePosition: { value: null },
+                birdResolution: { value: new THREE.Vector2(textureWidth, textureHeight) },
+                trailCount: { value: 0 },
+                trailStride: { value: 1 }
+            },
+            fragmentShader: trailWriteShader
+        }));
+
+        // A strip of quads per trail, two vertices (the ribbon's sides) per sample
+        const positions = [];
+        const indices = [];
+        for (let age = 0; age < TRAIL_MAX_LENGTH; age++) {
+            positions.push(age, -1, 0, age, 1, 0);
+            if (age > 0) {
+                const i = (age - 1) * 2;
+                indices.push(i, i + 1, i + 2, i + 1, i + 3, i + 2);
+            }
+        }
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+
+        trail.mesh = new THREE.Mesh(geometry, new THREE.ShaderMaterial({
+            uniforms: {
+                trailTexture: { value: trail.target.texture },
+                trailHead: { value: 0 },
+                trailLength: { value: 0 },
+                trailWidth: { value: PARAMS.trailWidth },
+                trailFade: { value: PARAMS.trailFade },
+                trailGlow: { value: PARAMS.trailGlow },
+                bounds: velocityUniforms["bounds"],
+                speciesColor: birdUniforms["speciesColor"]
+            },
+            vertexShader: trailVertexShader,
+            fragmentShader: trailFragmentShader,
+            blending: THREE.AdditiveBlending,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        }));
+        trail.mesh.frustumCulled = false; // Placed in the shader
+        scene.add(trail.mesh);
+        updateTrails();
+    }
+
+    function disposeTrails() {
+        scene.remove(trail.mesh);
+        trail.mesh.geometry.dispose();
+        trail.mesh.material.dispose();
+        trail.writeQuad.material.dispose();
+        trail.writeQuad.dispose();
+        trail.target.dispose();
+    }
+
+    function updateTrails() {
+        const count = Math.max(1, Math.min(Math.round(numBirds * PARAMS.trailFraction), TRAIL_TEXTURE_SIZE * TRAIL_TEXTURE_SIZE));
+        const { uniforms } = trail.mesh.material;
+        const writeUniforms = trail.writeQuad.material.uniforms;
+        if (writeUniforms.trailCount.value !== count) {
+            writeUniforms.trailCount.value = count;
+            writeUniforms.trailStride.value = numBirds / count;
+            resetTrails(); // Other boids now, so the history no longer applies
+        }
+        if (PARAMS.showTrails && !trail.mesh.visible) resetTrails(); // Nothing was written while hidden
+        trail.mesh.geometry.instanceCount = count;
+        trail.mesh.visible = PARAMS.showTrails;
+        uniforms.trailWidth.value = PARAMS.trailWidth;
+        uniforms.trailFade.value = PARAMS.trailFade;
+        uniforms.trailGlow.value = PARAMS.trailGlow;
+        setTrailLength(Math.min(PARAMS.trailLength, trail.filled));
+    }
+
+    // Start the trails over, e.g. after the boids jumped
+    function resetTrails() {
+        trail.filled = 0;
+        setTrailLength(0);
+    }
+
+    // Draw the newest length samples of each trail: the quads joining them and no more
+    function setTrailLength(length) {
+        trail.mesh.material.uniforms.trailLength.value = length;
+        trail.mesh.geometry.setDrawRange(0, Math.max(length - 1, 0) * 6);
+    }
+
+    // Append the positions in positionTexture to the ring buffer
+    function writeTrailSample(positionTexture) {
+        if (!PARAMS.showTrails) return;
+        trail.head = (trail.head + 1) % TRAIL_MAX_LENGTH;
+        trail.filled = Math.min(trail.filled + 1, TRAIL_MAX_LENGTH);
+        trail.writeQuad.material.uniforms.texturePosition.value = positionTexture;
+
+        const currentTarget = renderer.getRenderTarget();
+        renderer.setRenderTarget(trail.target, trail.head); // The second argument picks the layer
+        trail.writeQuad.render(renderer);
+        renderer.setRenderTarget(currentTarget);
+
+        trail.mesh.material.uniforms.trailHead.value = trail.head;
+        setTrailLength(Math.min(PARAMS.trailLength, trail.filled));
+    }
+
+    // --- Flock Size ---
+
+    // Size the simulation textures for count boids. Both sides are powers of two, which the
+    // bitonic sort of the spatial grid relies on; the texels past count are left unused.
+    function setFlockDimensions(count) {
+        numBirds = THREE.MathUtils.clamp(Math.round(count), 1, MAX_FLOCK_SIZE);
+        PARAMS.flockSize = numBirds;
+        textureWidth = THREE.MathUtils.ceilPowerOfTwo(Math.ceil(Math.sqrt(numBirds)));
+        textureHeight = THREE.MathUtils.ceilPowerOfTwo(Math.ceil(numBirds / textureWidth));
+    }
+
+    // Rebuild the compute passes and the bird mesh for a new flock size. The camera, food,
+    // predators, obstacles and PARAMS are untouched; with keepBoids the first boids carry
+    // over (growing adds random ones) instead of the whole flock being re-randomised.
+    function setFlockSize(count, keepBoids = PARAMS.keepBoidsOnResize) {
+        // Recordings, replays and exports can't mix flock sizes
+        if (replay.active) exitReplay(); // First, as it may resize back to the live flock
+        if (recorder.active) stopRecording();
+        if (exporter.active) finishExport();
+        metrics.job = null;
+
+        let previous = null;
+        if (keepBoids) {
+            const state = getFlockState(0);
+            const kept = Math.min(numBirds, THREE.MathUtils.clamp(Math.round(count), 1, MAX_FLOCK_SIZE)) * 4;
+            previous = { positions: state.positions.slice(0, kept), velocities: state.velocities.slice(0, kept) };
+        }
+
+        disposeCompute();
+        disposeTrails();
+        scene.remove(birdMesh);
+        birdMesh.material.dispose();
+        birdMesh.dispose();
+
+        setFlockDimensions(count);
+        initGPUCompute(previous);
+        initSpatialGrid();
+        initDebugForces();
+        initFoodCounting();
+        initPredatorCatching();
+        initBirds();
+        initSpecies();
+        initTrails();
+        inspectBoid(inspector.boid < numBirds ? inspector.boid : -1);
+        updateBirdInstances();
+        flockState.time = -Infinity;
+        flockState.frame = -1;
+
+        console.log(`Flock resized to ${numBirds} boids (${textureWidth}x${textureHeight} texels).`);
+    }
+
+    // Load a flock (in the layout of getFlockState()) into the simulation
+    function writeFlockState(positions, velocities) {
+        const dtPosition = gpuCompute.createTexture();
+        const dtVelocity = gpuCompute.createTexture();
+        dtPosition.image.data.set(positions.subarray(0, numBirds * 4));
+        dtVelocity.image.data.set(velocities.subarray(0, numBirds * 4));
+        for (const target of positionVariable.renderTargets) gpuCompute.renderTexture(dtPosition, target);
+        for (const target of velocityVariable.renderTargets) gpuCompute.renderTexture(dtVelocity, target);
+        dtPosition.dispose();
+        dtVelocity.dispose();
+        savePreviousPositions();
+        flockState.time = -Infinity;
+        flockState.frame = -1;
+    }
+
+    // Free everything sized by the flock on the GPU side (not the bird mesh)
+    function disposeCompute() {
+        gpuCompute.dispose();
+        [gridKeyMaterial, gridSortMaterial, gridRangeMaterial, foodCountColumnMaterial, foodCountTotalMaterial, catchColumnMaterial, catchTotalMaterial,
+            speciesAssignMaterial, inspector.material].forEach(material => material.dispose());
+        [...gridKeyTargets, gridRangeTarget, foodCountColumnTarget, foodCountTotalTarget, catchColumnTarget, catchTotalTarget, previousPositionTarget,
+            inspector.target].forEach(target => target.dispose());
+    }
+
+    // --- Species ---
+
+    function initSpecies() {
+        speciesAssignMaterial = gpuCompute.createShaderMaterial(speciesAssignShader, {
+            texturePosition: { value: null },
+            speciesThreshold: { value: new Array(MAX_SPECIES).fill(1.0) },
+            speciesSalt: { value: 0 }
+        });
+        updateSpeciesUniforms();
+        assignSpecies();
+    }
+
+    // Upload the per-species multipliers, interactions and looks
+    function updateSpeciesUniforms() {
+        for (let i = 0; i < MAX_SPECIES; i++) {
+            const species = PARAMS.species[i];
+            velocityUniforms["speciesWeights"].value[i].set(species.separation, species.alignment, species.cohesion, species.speed);
+            velocityUniforms["speciesRadius"].value[i] = species.radius;
+            for (let j = 0; j < MAX_SPECIES; j++) {
+                velocityUniforms["speciesInteraction"].value[i * MAX_SPECIES + j] = PARAMS.speciesInteraction[i][j];
+            }
+            birdUniforms["speciesColor"].value[i].set(species.color);
+            birdUniforms["speciesScale"].value[i] = species.scale;
+        }
+        velocityUniforms["speciesAvoidWeight"].value = PARAMS.speciesAvoidWeight;
+    }
+
+    // Re-label every boid from the current species count and shares (positions are kept)
+    function assignSpecies() {
+        const count = PARAMS.speciesCount;
+        const shares = PARAMS.species.slice(0, count).map(s => Math.max(s.share, 0));
+        const total = shares.reduce((sum, share) => sum + share, 0);
+        const thresholds = speciesAssignMaterial.uniforms.speciesThreshold.value;
+        let cumulative = 0;
+        for (let i = 0; i < MAX_SPECIES; i++) {
+            if (i < count) cumulative += total > 0 ? shares[i] / total : 1 / count; // All-zero shares split evenly
+            thresholds[i] = i >= count - 1 ? 1.0 : cumulative;
+        }
+        speciesAssignMaterial.uniforms.speciesSalt.value = PARAMS.seed % 65536;
+
+        const current = gpuCompute.getCurrentRenderTarget(positionVariable);
+        const alternate = gpuCompute.getAlternateRenderTarget(positionVariable);
+        speciesAssignMaterial.uniforms.texturePosition.value = current.texture;
+        gpuCompute.doRenderTarget(speciesAssignMaterial, alternate);
+        gpuCompute.renderTexture(alternate.texture, current);
+        flockState.frame = -1;
+    }
+
+    function initLighting() {
+        const ambientLight = new THREE.AmbientLight(0x404060, 1.0); // Soft ambient light
+        scene.add(ambientLight);
+
+        const sunLight = new THREE.DirectionalLight(0xffccaa, 3.0); // Warm sunlight
+        sunLight.position.set(0.5, 1, 0.75); // Angled sun
+        sunLight.castShadow = false; // Shadows are expensive with many objects
+        scene.add(sunLight);
+
+        // Optional: Add a subtle backlight for rim lighting effect
+        // const rimLight = new THREE.DirectionalLight(0x6080ff, 0.5);
+        // rimLight.position.set(-0.5, -0.5, -1);
+        // scene.add(rimLight);
+    }
+
+    function initEnvironment() {
+        // Simple Ground Plane (optional)
+        // const groundGeo = new THREE.PlaneGeometry(BOUNDS * 1.5, BOUNDS * 1.5);
+        // const groundMat = new THREE.MeshStandardMaterial({ color: 0x101015, roughness: 0.9 });
+        // const ground = new THREE.Mesh(groundGeo, groundMat);
+        // ground.rotation.x = -Math.PI / 2;
+        // ground.position.y = -BOUNDS_HALF * 0.8; // Slightly below the simulation center
+        // scene.add(ground);
+
+        // Skybox
+        // const loader = new THREE.CubeTextureLoader();
+        // const texture = loader.load([
+        //     'https://threejs.org/examples/textures/cube/Bridge2/posx.jpg', 'https://threejs.org/examples/textures/cube/Bridge2/negx.jpg',
+        //     'https://threejs.org/examples/textures/cube/Bridge2/posy.jpg', 'https://threejs.org/examples/textures/cube/Bridge2/negy.jpg',
+        //     'https://threejs.org/examples/textures/cube/Bridge2/posz.jpg', 'https://threejs.org/examples/textures/cube/Bridge2/negz.jpg',
+        //     // Replace with a more atmospheric skybox (e.g., sunset/dusk) for better mood
+        //     // Example: 'px.png', 'nx.png', 'py.png', 'ny.png', 'pz.png', 'nz.png'
+        // ]);
+        // scene.background = texture;
+        // scene.environment = texture; // For reflections on birds
+
+        // --- SET Background Color ---
+        scene.background = new THREE.Color(0x000005); // Very dark blue/black
+        scene.environment = null; // Or set to a minimal environment map if needed for bird reflections
+
+        // Simple Obstacle (Example)
+        obstacleMaterial = new THREE.MeshStandardMaterial({ color: 0x555566, roughness: 0.8 });
+        addObstacle({ type: 'sphere', position: new THREE.Vector3(0, 0, 0), radius: BOUNDS * 0.1 }); // Center obstacle
+    }
+
+    // --- Obstacles ---
+
+    // Add a sphere, axis-aligned box or capsule the flock will steer around. Returns the
+    // obstacle, whose fields can be edited followed by a call to updateObstacle().
+    function addObstacle(options = {}) {
+        if (obstacles.length >= MAX_OBSTACLES) {
+            console.warn(`Cannot add obstacle: the limit is ${MAX_OBSTACLES}.`);
+            return null;
+        }
+
+        const obstacle = {
+            type: options.type || 'sphere',
+            position: options.position ? options.position.clone() : new THREE.Vector3(),
+            radius: options.radius ?? 40,                                             // Sphere and capsule
+            halfSize: options.halfSize ? options.halfSize.clone() : new THREE.Vector3(40, 40, 40), // Box
+            direction: options.direction ? options.direction.clone().normalize() : new THREE.Vector3(0, 1, 0), // Capsule axis
+            length: options.length ?? 120,                                            // Capsule segment length
+            visual: new THREE.Mesh(new THREE.BufferGeometry(), obstacleMaterial),
+            folder: null
+        };
+        if (OBSTACLE_TYPES[obstacle.type] === undefined) {
+            console.warn(`Unknown obstacle type "${obstacle.type}", using a sphere.`);
+            obstacle.type = 'sphere';
+        }
+
+        scene.add(obstacle.visual);
+        obstacles.push(obstacle);
+        updateObstacle(obstacle);
+        if (obstacleFolder) addObstacleControls(obstacle);
+        return obstacle;
+    }
+
+    function removeObstacle(obstacle) {
+        const index = obstacles.indexOf(obstacle);
+        if (index === -1) return;
+
+        obstacles.splice(index, 1);
+        scene.remove(obstacle.visual);
+        obstacle.visual.geometry.dispose();
+        if (obstacle.folder) obstacle.folder.destroy();
+        updateObstacleUniforms();
+    }
+
+    // Sync an obstacle's mesh and the compute uniforms after its fields changed
+    function updateObstacle(obstacle) {
+        const visual = obstacle.visual;
+        visual.geometry.dispose();
+        visual.quaternion.identity();
+
+        if (obstacle.type === 'box') {
+            const size = obstacle.halfSize;
+            visual.geometry = new THREE.BoxGeometry(size.x * 2, size.y * 2, size.z * 2);
+        } else if (obstacle.type === 'capsule') {
+            visual.geometry = new THREE.CapsuleGeometry(obstacle.radius, obstacle.length, 8, 24); // Built along +Y
+            visual.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), obstacle.direction.clone().normalize());
+        } else {
+            visual.geometry = new THREE.SphereGeometry(obstacle.radius, 32, 32);
+        }
+        visual.position.copy(obstacle.position);
+
+        updateObstacleUniforms();
+    }
+
+    function updateObstacleUniforms() {
+        const shapes = velocityUniforms["obstacleShape"].value;
+        const sizes = velocityUniforms["obstacleSize"].value;
+
+        obstacles.forEach((obstacle, i) => {
+            shapes[i].set(obstacle.position.x, obstacle.position.y, obstacle.position.z, OBSTACLE_TYPES[obstacle.type]);
+            if (obstacle.type === 'box') {
+                sizes[i].set(obstacle.halfSize.x, obstacle.halfSize.y, obstacle.halfSize.z, 0);
+            } else if (obstacle.type === 'capsule') {
+                const halfAxis = obstacle.direction.clone().normalize().multiplyScalar(obstacle.length / 2);
+                sizes[i].set(halfAxis.x, halfAxis.y, halfAxis.z, obstacle.radius);
+            } else {
+                sizes[i].set(0, 0, 0, obstacle.radius);
+            }
+        });
+        velocityUniforms["obstacleCount"].value = obstacles.length;
+    }
+
+    // One sub-folder per obstacle with its shape controls and a remove button
+    function addObstacleControls(obstacle) {
+        const folder = obstacleFolder.addFolder(`${obstacle.type[0].toUpperCase()}${obstacle.type.slice(1)}`);
+        const update = () => updateObstacle(obstacle);
+        const range = PARAMS.bounds / 2;
+
+        folder.add(obstacle.position, 'x', -range, range, 1).onChange(update);
+        folder.add(obstacle.position, 'y', -range, range, 1).onChange(update);
+        folder.add(obstacle.position, 'z', -range, range, 1).onChange(update);
+        if (obstacle.type === 'box') {
+            folder.add(obstacle.halfSize, 'x', 1, range, 1).name('half size x').onChange(update);
+            folder.add(obstacle.halfSize, 'y', 1, range, 1).name('half size y').onChange(update);
+            folder.add(obstacle.halfSize, 'z', 1, range, 1).name('half size z').onChange(update);
+        } else {
+            folder.add(obstacle, 'radius', 1, range, 1).onChange(update);
+        }
+        if (obstacle.type === 'capsule') {
+            folder.add(obstacle, 'length', 0, range * 2, 1).onChange(update);
+            folder.add(obstacle.direction, 'x', -1, 1, 0.01).name('axis x').onChange(update);
+            folder.add(obstacle.direction, 'y', -1, 1, 0.01).name('axis y').onChange(update);
+            folder.add(obstacle.direction, 'z', -1, 1, 0.01).name('axis z').onChange(update);
+        }
+        folder.add({ remove: () => removeObstacle(obstacle) }, 'remove').name('Remove');
+        folder.close();
+
+        obstacle.folder = folder;
+    }
+
+    // --- Create Starfield ---
+    function initStarfield() {
+        const starCount = 15000; // Number of stars
+        const starSphereRadius = BOUNDS * 5; // Make stars very distant
+
+        const positions = [];
+        const colors = [];
+        const starGeometry = new THREE.BufferGeometry();
+        const color = new THREE.Color();
+
+        // Create a simple white radial gradient texture for stars
+        function createStarTexture() {
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+            const size = 64;
+            canvas.width = size;
+            canvas.height = size;
+
+            const gradient = context.createRadialGradient(
+                size / 2, size / 2, 0, // Inner circle (center, radius 0)
+                size / 2, size / 2, size / 2 // Outer circle (center, radius size/2)
+            );
+            gradient.addColorStop(0.0, 'rgba(255, 255, 255, 1.0)'); // White center
+            gradient.addColorStop(0.3, 'rgba(220, 220, 255, 0.8)'); // Faint blueish glow
+            gradient.addColorStop(1.0, 'rgba(0, 0, 0, 0)');       // Transparent edge
+
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, size, size);
+
+            return new THREE.CanvasTexture(canvas);
+        }
+
+        const starTexture = createStarTexture();
+
+        for (let i = 0; i < starCount; i++) {
+            // Generate random spherical coordinates
+            const phi = Math.acos(-1 + (2 * Math.random())); // Latitude distribution
+            const theta = Math.random() * 2 * Math.PI;       // Longitude
+
+            // Convert to Cartesian coordinates
+            const x = starSphereRadius * Math.sin(phi) * Math.cos(theta);
+            const y = starSphereRadius * Math.sin(phi) * Math.sin(theta);
+            const z = starSphereRadius * Math.cos(phi);
+
+            positions.push(x, y, z);
+
+            // Add subtle color variation
+            const variability = Math.random();
+            if (variability < 0.1) {
+                color.setHSL(0.6, 0.9, Math.random() * 0.2 + 0.8); // Pale Blue
+            } else if (variability < 0.2) {
+                color.setHSL(0.1, 0.9, Math.random() * 0.2 + 0.75); // Pale Yellow/Orange
+            } else {
+                color.setHSL(0, 0, Math.random() * 0.3 + 0.7); // Mostly White/Greyish
+            }
+            colors.push(color.r, color.g, color.b);
+        }
+
+        starGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        starGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const starMaterial = new THREE.PointsMaterial({
+            size: 15,                    // Adjust base size of stars
+            map: starTexture,            // Use the generated texture
+            vertexColors: true,          // Use the colors attribute
+            blending: THREE.AdditiveBlending, // Crucial for glow effect
+            depthWrite: false,           // Prevents stars occluding each other oddly
+            transparent: true,           // Needed for blending and texture alpha
+            sizeAttenuation: true        // Stars further away appear smaller (optional, could be false)
+        });
+
+        const starField = new THREE.Points(starGeometry, starMaterial);
+        scene.add(starField);
+
+        console.log(`Initialized ${starCount} stars.`);
+    }
+
+    function initPostProcessing() {
+        composer = new EffectComposer(renderer);
+
+        const renderPass = new RenderPass(scene, camera);
+        composer.addPass(renderPass);
+
+        bloomPass = new UnrealBloomPass(
+            new THREE.Vector2(container.clientWidth, container.clientHeight),
+            PARAMS.bloomStrength, // strength
+            PARAMS.bloomRadius,  // radius
+            PARAMS.bloomThreshold // threshold
+        );
+        composer.addPass(bloomPass);
+
+        // FXAA for anti-aliasing (lighter than SMAA or TAA)
+        fxaaPass = new ShaderPass(FXAAShader);
+        const pixelRatio = renderer.getPixelRatio();
+        fxaaPass.material.uniforms['resolution'].value.x = 1 / (Math.max(container.clientWidth, 1) * pixelRatio);
+        fxaaPass.material.uniforms['resolution'].value.y = 1 / (Math.max(container.clientHeight, 1) * pixelRatio);
+        composer.addPass(fxaaPass);
+    }
+
+    // --- Helper Function to get random position within bounds ---
+    function getRandomPosition() {
+        const bounds = PARAMS.bounds;
+        return new THREE.Vector3(
+            random() * bounds - bounds / 2,
+            random() * bounds * 0.6 - bounds * 0.15, // Keep them slightly lower/higher? Adjust Y range
+            random() * bounds - bounds / 2
+        );
+    }
+
+    // --- Initialize Attractors and Predators ---
+    function initAttractorsPredators() {
+        // Food Sources
+        const foodGeo = new THREE.SphereGeometry(6, 16, 8); // Slightly larger than predator visual
+
+        for (let i = 0; i < MAX_FOOD; i++) {
+            const foodMat = new THREE.MeshBasicMaterial({ color: FOOD_COLOR_FULL }); // Own material: colour shows what is left
+            const foodMesh = new THREE.Mesh(foodGeo, foodMat);
+            scene.add(foodMesh);
+
+            foodSources.push({
+                position: new THREE.Vector3(),
+                orbitParams: null, // Set by randomizeFood(); null for food dropped with the pointer
+                dropped: false,
+                amount: PARAMS.foodCapacity,
+                depleted: false,   // Eaten up and waiting to regrow
+                regrowTimer: 0,    // Seconds until depleted food reappears
+                active: true,
+                visual: foodMesh
+            });
+        }
+
+        initFoodCounting();
+        initPredatorCatching();
+
+        // Predator Sources
+        const predGeo = new THREE.ConeGeometry(4, 14, 8);
+        predGeo.rotateX(Math.PI / 2); // Point the cone forward, like the birds
+        const predMat = new THREE.MeshBasicMaterial({ color: 0xff4040 }); // Red
+
+        for (let i = 0; i < MAX_PREDATORS; i++) {
+            const predMesh = new THREE.Mesh(predGeo, predMat);
+            scene.add(predMesh);
+
+            predatorSources.push({
+                position: new THREE.Vector3(),
+                velocity: new THREE.Vector3(),
+                target: -1,                         // Index of the boid being chased
+                targetPosition: new THREE.Vector3(), // Target state at the last look (targetTime)
+                targetVelocity: new THREE.Vector3(),
+                targetTime: 0,
+                timer: 0,                           // Chase time left before giving up
+                rest: 0,                            // Cruise time left after a catch
+                catches: 0,
+                active: true,
+                visual: predMesh
+            });
+        }
+
+        resetAttractorsPredators();
+        updateSourceVisibility();
+    }
+
+    // Food (left empty while it regrows) and predators are shown on request; dropped food is always visible
+    function updateSourceVisibility() {
+        foodSources.forEach(food => food.visual.visible = (food.active || food.depleted) && (PARAMS.showFood || food.dropped));
+        predatorSources.forEach(pred => pred.visual.visible = pred.active && PARAMS.showSources);
+    }
+
+    // Give every food source and predator fresh random state from the seeded PRNG
+    function resetAttractorsPredators() {
+        for (let i = 0; i < MAX_FOOD; i++) {
+            const food = foodSources[i];
+            randomizeFood(food);
+            food.amount = PARAMS.foodCapacity;
+            food.depleted = false;
+            food.regrowTimer = 0;
+            food.active = true;
+            updateFoodVisual(food);
+
+            // Initialize uniforms immediately with the starting position
+            velocityUniforms.foodPositions.value[i] = food.position.clone(); // CLONE!
+            velocityUniforms.foodActive.value[i] = food.active;
+        }
+
+        for (let i = 0; i < MAX_PREDATORS; i++) {
+            const pred = predatorSources[i];
+            pred.position.copy(getRandomPosition());
+            pred.velocity.set(random() - 0.5, random() - 0.5, random() - 0.5).setLength(PARAMS.predatorSpeed);
+            pred.target = -1;
+            pred.timer = 0;
+            pred.rest = 0;
+            pred.catches = 0;
+            pred.active = i < PARAMS.predatorCount;
+            pred.visual.position.copy(pred.position);
+
+            // Initialize uniforms immediately
+            velocityUniforms.predatorPositions.value[i] = pred.position.clone(); // CLONE!
+            velocityUniforms.predatorActive.value[i] = pred.active;
+        }
+        predatorStats.totalCatches = 0;
+        predatorSenseTimer = 0;
+        foodMeasureElapsed = 0;
+    }
+
+    // Pick a new orbit for a food source and move it to the orbit's starting point
+    function randomizeFood(food) {
+        const boundsHalf = PARAMS.bounds / 2;
+        const orbitParams = {
+            radius: boundsHalf * (0.3 + random() * 0.6), // Orbit radius (30% to 90% of bounds)
+            speedFactor: 0.8 + random() * 0.4, // Individual speed variation (80% to 120% of base)
+            phase: random() * Math.PI * 2,     // Starting angle
+            vertAmp: boundsHalf * (0.1 + random() * 0.3), // Vertical movement amplitude
+            vertFreq: 0.3 + random() * 0.4,   // Vertical oscillation speed (slower than orbit)
+            vertPhase: random() * Math.PI * 2 // Starting vertical phase
+        };
+
+        // Calculate initial position (using time = 0 for simplicity here)
+        food.position.set(
+            orbitParams.radius * Math.cos(orbitParams.phase),
+            orbitParams.vertAmp * Math.sin(orbitParams.vertPhase), // Use vertPhase for initial Y
+            orbitParams.radius * Math.sin(orbitParams.phase)
+        );
+        food.orbitParams = orbitParams;
+        food.dropped = false;
+        food.visual.position.copy(food.position);
+    }
+
+    // --- Foraging ---
+    // Boids near food eat it. A two-pass GPU reduction counts the boids within
+    // eatRadius of each food; the counts are read back (MAX_FOOD texels) at a fixed
+    // simulated-time interval, which keeps seeded runs reproducible.
+
+    function initFoodCounting() {
+        foodCountColumnMaterial = gpuCompute.createShaderMaterial(foodCountColumnShader, {
+            texturePosition: { value: null },
+            textureVelocity: { value: null },
+            boidResolution: { value: new THREE.Vector2(textureWidth, textureHeight) },
+            birdCount: velocityUniforms["birdCount"],
+            foodPositions: velocityUniforms["foodPositions"],
+            foodActive: velocityUniforms["foodActive"],
+            eatRadius: velocityUniforms["eatRadius"]
+        });
+        foodCountColumnMaterial.defines.resolution = `vec2( ${textureWidth.toFixed(1)}, ${MAX_FOOD.toFixed(1)} )`;
+
+        foodCountTotalMaterial = gpuCompute.createShaderMaterial(foodCountTotalShader, {
+            textureColumnCounts: { value: null },
+            columns: { value: textureWidth }
+        });
+        foodCountTotalMaterial.defines.resolution = `vec2( ${MAX_FOOD.toFixed(1)}, 1.0 )`;
+
+        foodCountColumnTarget = gpuCompute.createRenderTarget(textureWidth, MAX_FOOD);
+        foodCountTotalTarget = gpuCompute.createRenderTarget(MAX_FOOD, 1);
+    }
+
+    // Number of boids within eatRadius of each food source (x channel, one texel per food)
+    function countBoidsNearFood() {
+        foodCountColumnMaterial.uniforms.texturePosition.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+        foodCountColumnMaterial.uniforms.textureVelocity.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+        foodCountColumnMaterial.uniforms.eatRadius.value = PARAMS.eatRadius;
+        gpuCompute.doRenderTarget(foodCountColumnMaterial, foodCountColumnTarget);
+
+        foodCountTotalMaterial.uniforms.textureColumnCounts.value = foodCountColumnTarget.texture;
+        gpuCompute.doRenderTarget(foodCountTotalMaterial, foodCountTotalTarget);
+
+        renderer.readRenderTargetPixels(foodCountTotalTarget, 0, 0, MAX_FOOD, 1, foodCounts);
+        return foodCounts;
+    }
+
+    function updateFoodConsumption(delta) {
+        if (!PARAMS.foodDepletion) return;
+
+        foodMeasureElapsed += delta;
+        if (foodMeasureElapsed < FOOD_MEASURE_INTERVAL) return;
+
+        const counts = countBoidsNearFood();
+        for (let i = 0; i < MAX_FOOD; i++) {
+            const food = foodSources[i];
+            if (!food.active) continue;
+
+            food.amount -= counts[i * 4] * PARAMS.eatRate * foodMeasureElapsed;
+            if (food.amount <= 0) {
+                depleteFood(i);
+            }
+            updateFoodVisual(food);
+        }
+        foodMeasureElapsed = 0;
+    }
+
+    function depleteFood(index) {
+        const food = foodSources[index];
+        food.amount = 0;
+        food.active = false;
+        food.depleted = true;
+        food.regrowTimer = PARAMS.foodRegrowDelay;
+        velocityUniforms.foodActive.value[index] = false;
+    }
+
+    // Shrink and darken the marker as the food is eaten
+    function updateFoodVisual(food, amount = food.amount) {
+        const fraction = THREE.MathUtils.clamp(amount / PARAMS.foodCapacity, 0, 1);
+        food.visual.scale.setScalar(0.4 + 0.6 * fraction);
+        food.visual.material.color.lerpColors(FOOD_COLOR_EMPTY, FOOD_COLOR_FULL, fraction);
+    }
+
+
+    // --- Update Attractors and Predators (Call this in animate loop) ---
+    function updateAttractorsPredators(delta, time) {
+        // Update Food
+        for (let i = 0; i < MAX_FOOD; i++) {
+            const food = foodSources[i];
+            if (food.active && food.orbitParams) { // Dropped food stays where it was put
+                const params = food.orbitParams;
+
+                // Calculate current angle based on global time, base speed, individual speed factor, and phase
+                const angle = time * PARAMS.foodOrbitSpeed * params.speedFactor + params.phase;
+
+                // Calculate XZ position (orbiting around Y axis)
+                const x = params.radius * Math.cos(angle);
+                const z = params.radius * Math.sin(angle);
+
+                // Calculate Y position (vertical oscillation)
+                const y = params.vertAmp * Math.sin(time * params.vertFreq * PARAMS.foodOrbitSpeed + params.vertPhase);
+
+                // Update the food source's logical position
+                food.position.set(x, y, z);
+
+                // Update the visual mesh position
+                food.visual.position.copy(food.position);
+
+                // --- IMPORTANT: Update the uniform for the GPU ---
+                velocityUniforms.foodPositions.value[i].copy(food.position);
+            }
+            // Depleted food regrows somewhere else after a delay
+            if (food.depleted) {
+                food.regrowTimer -= delta;
+                if (food.regrowTimer <= 0) {
+                    food.depleted = false;
+                    randomizeFood(food);
+                    food.amount = PARAMS.foodCapacity;
+                    food.active = true;
+                    food.visual.visible = PARAMS.showFood || food.dropped;
+                    velocityUniforms.foodPositions.value[i].copy(food.position);
+                    velocityUniforms.foodActive.value[i] = true;
+                    updateFoodVisual(food);
+                }
+            }
+        }
+
+        updateFoodConsumption(delta);
+
+        updatePredators(delta);
+    }
+
+    // --- Predators ---
+    // Predators are agents that steer toward their prey at a limited turn rate. They
+    // look at the flock (a CPU readback) every predatorSenseInterval of simulated
+    // time to pick targets, and chase an extrapolation in between. Catches are checked
+    // on the GPU as often as the asynchronous readback allows (every step or two), so
+    // fast predators don't pass through their prey.
+
+    function initPredatorCatching() {
+        catchColumnMaterial = gpuCompute.createShaderMaterial(catchColumnShader, {
+            texturePosition: { value: null },
+            textureVelocity: { value: null },
+            boidResolution: { value: new THREE.Vector2(textureWidth, textureHeight) },
+            birdCount: velocityUniforms["birdCount"],
+            predatorPositions: velocityUniforms["predatorPositions"],
+            predatorHunting: { value: new Array(MAX_PREDATORS).fill(false) },
+            catchRadius: { value: PARAMS.catchRadius }
+        });
+        catchColumnMaterial.defines.resolution = `vec2( ${textureWidth.toFixed(1)}, ${MAX_PREDATORS.toFixed(1)} )`;
+
+        catchTotalMaterial = gpuCompute.createShaderMaterial(catchTotalShader, {
+            textureColumnNearest: { value: null },
+            columns: { value: textureWidth }
+        });
+        catchTotalMaterial.defines.resolution = `vec2( ${MAX_PREDATORS.toFixed(1)}, 1.0 )`;
+
+        catchColumnTarget = gpuCompute.createRenderTarget(textureWidth, MAX_PREDATORS);
+        catchTotalTarget = gpuCompute.createRenderTarget(MAX_PREDATORS, 1);
+    }
+
+    // Strike at the nearest living boid within catchRadius of each hunting predator. The
+    // result is read back without waiting on the GPU and applied a step or two later;
+    // until then no new check starts.
+    function catchPrey() {
+        if (catchPending) return;
+        const hunting = catchColumnMaterial.uniforms.predatorHunting.value;
+        predatorSources.forEach((pred, i) => {
+            hunting[i] = pred.active && pred.rest <= 0;
+        });
+        if (!hunting.includes(true)) return;
+
+        catchColumnMaterial.uniforms.texturePosition.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+        catchColumnMaterial.uniforms.textureVelocity.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+        catchColumnMaterial.uniforms.catchRadius.value = PARAMS.catchRadius;
+        gpuCompute.doRenderTarget(catchColumnMaterial, catchColumnTarget);
+
+        catchTotalMaterial.uniforms.textureColumnNearest.value = catchColumnTarget.texture;
+        gpuCompute.doRenderTarget(catchTotalMaterial, catchTotalTarget);
+
+        catchPending = true;
+        const [frame, boidCount] = [simulationFrame, numBirds];
+        renderer.readRenderTargetPixelsAsync(catchTotalTarget, 0, 0, MAX_PREDATORS, 1, catchReadback).then(() => {
+            if (simulationFrame < frame || numBirds !== boidCount) return; // Restarted or resized since
+            predatorSources.forEach((pred, i) => {
+                const caught = Math.round(catchReadback[i * 4 + 1]);
+                if (pred.active && pred.rest <= 0 && caught >= 0) catchBoid(pred, caught);
+            });
+        }).catch(error => console.warn('Could not read predator catches:', error)).finally(() => {
+            catchPending = false;
+        });
+    }
+
+    function updatePredators(delta) {
+        predatorSenseTimer -= delta;
+        if (predatorSenseTimer <= 0 && PARAMS.predatorCount > 0) {
+            predatorSenseTimer = PARAMS.predatorSenseInterval;
+            sensePredators();
+        }
+
+        const heading = new THREE.Vector3();
+        const desired = new THREE.Vector3();
+        const turn = new THREE.Quaternion();
+
+        for (let i = 0; i < MAX_PREDATORS; i++) {
+            const pred = predatorSources[i];
+            if (!pred.active) continue;
+
+            heading.copy(pred.velocity).normalize();
+            let speed = PARAMS.predatorSpeed;
+
+            if (pred.rest > 0) {
+                pred.rest -= delta;
+                speed *= 0.5; // Cruise while digesting
+            } else if (pred.target !== -1) {
+                pred.timer -= delta;
+                // Aim at where the target should be by now
+                const age = simulationTime - pred.targetTime;
+                desired.copy(pred.targetPosition).addScaledVector(pred.targetVelocity, age).sub(pred.position);
+                if (desired.lengthSq() > 0) {
+                    turn.setFromUnitVectors(heading, desired.normalize());
+                    heading.applyQuaternion(new THREE.Quaternion().rotateTowards(turn, PARAMS.predatorTurnRate * delta));
+                }
+            }
+
+            pred.velocity.copy(heading).multiplyScalar(speed);
+            pred.position.addScaledVector(pred.velocity, delta);
+            confinePredator(pred);
+
+            pred.visual.position.copy(pred.position);
+            pred.visual.lookAt(desired.copy(pred.position).add(pred.velocity));
+            velocityUniforms.predatorPositions.value[i].copy(pred.position);
+        }
+
+        catchPrey();
+    }
+
+    // Look at the flock: pick new targets and refresh target state
+    function sensePredators() {
+        const state = getFlockState(0);
+        const boidCount = state.positions.length / 4;
+        let density = null; // Built on demand
+
+        for (const pred of predatorSources) {
+            if (!pred.active || pred.rest > 0) continue;
+
+            // Nearest-boid hunters always re-evaluate; the others commit until they give up
+            if (pred.target === -1 || pred.timer <= 0 || PARAMS.predatorStrategy === 'nearest') {
+                if (density === null && PARAMS.predatorStrategy !== 'nearest') {
+                    density = buildDensityGrid(state, Math.max(PARAMS.cohesionDistance, 1));
+                }
+                pred.target = selectPredatorTarget(pred, state, density);
+                if (pred.timer <= 0) pred.timer = PARAMS.predatorGiveUpTime;
+            }
+
+            if (pred.target !== -1 && pred.target < boidCount) {
+                const k = pred.target * 4;
+                pred.targetPosition.set(state.positions[k], state.positions[k + 1], state.positions[k + 2]);
+                pred.targetVelocity.set(state.velocities[k], state.velocities[k + 1], state.velocities[k + 2]);
+                pred.targetTime = simulationTime;
+            }
+        }
+    }
+
+    function selectPredatorTarget(pred, state, density) {
+        if (PARAMS.predatorStrategy === 'densest') {
+            // The boid nearest to us in the most crowded cell
+            let densestCell = 0;
+            for (let c = 1; c < density.counts.length; c++) {
+                if (density.counts[c] > density.counts[densestCell]) densestCell = c;
+            }
+            return findNearestBoid(state, pred.position, Infinity, i => density.cells[i] === densestCell);
+        }
+
+        if (PARAMS.predatorStrategy === 'straggler') {
+            // The nearest of the boids with the fewest others in their cell
+            let fewest = Infinity;
+            for (let i = 0; i < density.cells.length; i++) {
+                fewest = Math.min(fewest, density.counts[density.cells[i]]);
+            }
+            return findNearestBoid(state, pred.position, Infinity, i => density.counts[density.cells[i]] === fewest);
+        }
+
+        return findNearestBoid(state, pred.position, Infinity);
+    }
+
+    // Index of the living boid nearest to point within maxDistance (optionally filtered), or -1
+    function findNearestBoid(state, point, maxDistance, filter = null) {
+        const { positions, velocities } = state;
+        let nearest = -1;
+        let nearestDistSq = maxDistance * maxDistance;
+        for (let i = 0, k = 0; k < positions.length; i++, k += 4) {
+            if (velocities[k + 3] <= 0) continue; // Dead
+            const dx = positions[k] - point.x;
+            const dy = positions[k + 1] - point.y;
+            const dz = positions[k + 2] - point.z;
+            const distSq = dx * dx + dy * dy + dz * dz;
+            if (distSq < nearestDistSq && (filter === null || filter(i))) {
+                nearest = i;
+                nearestDistSq = distSq;
+            }
+        }
+        return nearest;
+    }
+
+    // Coarse occupancy grid over a flock snapshot: the cell of every living boid and the count per cell
+    function buildDensityGrid(state, cellSize) {
+        const half = PARAMS.bounds / 2;
+        const dim = Math.max(1, Math.ceil(PARAMS.bounds / cellSize));
+        const positions = state.positions;
+        const cells = new Int32Array(positions.length / 4);
+        const counts = new Uint32Array(dim * dim * dim);
+        const cellCoord = v => THREE.MathUtils.clamp(Math.floor((v + half) / cellSize), 0, dim - 1);
+
+        for (let i = 0, k = 0; k < positions.length; i++, k += 4) {
+            if (state.velocities[k + 3] <= 0) { // Dead boids are in no cell
+                cells[i] = -1;
+                continue;
+            }
+            const cell = cellCoord(positions[k]) + (cellCoord(positions[k + 1]) + cellCoord(positions[k + 2]) * dim) * dim;
+            cells[i] = cell;
+            counts[cell]++;
+        }
+        return { cells, counts, dim, cellSize };
+    }
+
+    function catchBoid(pred, boidIndex) {
+        pred.catches++;
+        predatorStats.totalCatches++;
+        pred.rest = PARAMS.predatorRestTime;
+        pred.target = -1;
+        pred.timer = 0;
+        if (PARAMS.lifeCycle && pendingKills.length < MAX_KILLS) {
+            pendingKills.push(boidIndex); // Dies in the next compute step
+        }
+        simulation.dispatchEvent({ type: 'predatorCatch', predator: predatorSources.indexOf(pred), boid: boidIndex, catches: pred.catches });
+    }
+
+    // Keep predators inside the same boundary the boids live in
+    function confinePredator(pred) {
+        const p = pred.position;
+        const bounds = PARAMS.bounds;
+        const half = bounds / 2;
+
+        if (PARAMS.boundaryMode === BOUNDARY_MODES['Wrap (toroidal)']) {
+            p.set(
+                THREE.MathUtils.euclideanModulo(p.x + half, bounds) - half,
+                THREE.MathUtils.euclideanModulo(p.y + half, bounds) - half,
+                THREE.MathUtils.euclideanModulo(p.z + half, bounds) - half
+            );
+            return;
+        }
+
+        let outside;
+        if (PARAMS.boundaryMode === BOUNDARY_MODES['Spherical Arena']) {
+            outside = p.length() > half;
+            if (outside) p.setLength(half);
+        } else {
+            outside = Math.abs(p.x) > half || Math.abs(p.y) > half || Math.abs(p.z) > half;
+            p.clampScalar(-half, half);
+            if (PARAMS.boundaryMode === BOUNDARY_MODES['Cylindrical Arena']) {
+                const radial = Math.hypot(p.x, p.z);
+                if (radial > half) {
+                    p.x *= half / radial;
+                    p.z *= half / radial;
+                    outside = true;
+                }
+            }
+        }
+        if (outside) {
+            // Turn back toward the middle of the arena
+            pred.velocity.copy(p).negate().setLength(pred.velocity.length());
+        }
+    }
+
+    // Activate the first predatorCount predators
+    function updatePredatorCount() {
+        predatorSources.forEach((pred, i) => {
+            pred.active = i < PARAMS.predatorCount;
+            velocityUniforms.predatorActive.value[i] = pred.active;
+            if (pred.catchController) pred.catchController.show(pred.active);
+        });
+        updateSourceVisibility();
+    }
+
+    function initGUI() {
+        gui = new GUI({ container });
+        Object.assign(gui.domElement.style, { position: 'absolute', top: '0', right: '15px', maxHeight: '100%', overflowY: 'auto', zIndex: '1' });
+        gui.onChange(event => {
+            const { object } = event;
+            if (object === PARAMS || object === PARAMS.gradientColors || [PARAMS.species, PARAMS.speciesInteraction, PARAMS.vortices].some(list => list.includes(object))) {
+                simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+            }
+        });
+
+        const presetFolder = gui.addFolder('Presets');
+        presetFolder.add({ preset: 'Default' }, 'preset', Object.keys(PRESETS)).name('Preset').onChange(name => applyOverDefaults(PRESETS[name]));
+        presetFolder.add({ save: saveParamsToStorage }, 'save').name('Save in Browser');
+        presetFolder.add({ load: () => applyParams(loadParamsFromStorage() ?? {}) }, 'load').name('Load from Browser');
+        presetFolder.add({ exportFile: exportParamsFile }, 'exportFile').name('Export JSON File');
+        presetFolder.add({ importFile: importParamsFile }, 'importFile').name('Import JSON File');
+        presetFolder.add({ share: shareParamsLink }, 'share').name('Copy Share Link');
+
+        const boidFolder = gui.addFolder('Boid Behavior');
+        boidFolder.add(PARAMS, 'separationDistance', 1, 100, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'alignmentDistance', 1, 100, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'cohesionDistance', 1, 100, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'freedomFactor', 0, 2, 0.01).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'neighborSearch', { 'Grid (exact)': 'grid', 'Sampled (fast/approximate)': 'sampled' }).name('Neighbour Search').onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'gridCellCap', 8, GRID_MAX_PER_CELL, 1).name('Grid Cell Cap').onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'viewAngle', 10, 360, 1).name('View Angle (°)').onChange(updateUniforms);
+        // k nearest among the cells up to TOPOLOGICAL_MAX_RING out (or the random samples), so a
+        // sparse flock may follow fewer; the inspector shows how many were found
+        boidFolder.add(PARAMS, 'neighborRule', NEIGHBOR_RULES).name('Neighbour Rule').onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'topologicalK', 1, MAX_TOPOLOGICAL_K, 1).name('Nearest Neighbours (k)').onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'separationWeight', 0, 5, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'alignmentWeight', 0, 5, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'cohesionWeight', 0, 5, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'foodWeight', 0, 10, 0.1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'predatorWeight', 0, 15, 0.1).name('Auto Predator Weight').onChange(updateUniforms); // Add new one or rename
+        boidFolder.add(PARAMS, 'foodRadius', 10, 800, 1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'predatorRadius', 10, 200, 1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'maxSpeed', 1, 200, 1).onChange(updateUniforms);
+        boidFolder.add(PARAMS, 'maxSteerForce', 0.1, 40, 0.1).onChange(updateUniforms); // Smaller step for finer control
+        boidFolder.add(PARAMS, 'foodOrbitSpeed', 0.01, 5.0, 0.001).onChange(updateUniforms);
+        boidFolder.close(); // Start closed
+
+        speciesFolder = gui.addFolder('Species');
+        speciesFolder.add(PARAMS, 'speciesCount', 1, MAX_SPECIES, 1).name('Species Count').onChange(() => {
+            updateUniforms(); // Grid cells depend on the active species' radii
+            assignSpecies();
+            addSpeciesControls();
+        });
+        speciesFolder.add(PARAMS, 'speciesAvoidWeight', 0, 10, 0.1).name('Avoidance Weight').onChange(updateUniforms);
+        addSpeciesControls();
+        speciesFolder.close();
+
+        const foodFolder = gui.addFolder('Food');
+        foodFolder.add(PARAMS, 'foodDepletion').name('Food Gets Eaten');
+        foodFolder.add(PARAMS, 'foodCapacity', 1, 1000, 1).name('Capacity');
+        foodFolder.add(PARAMS, 'eatRadius', 1, 100, 1).name('Eat Radius').onChange(updateUniforms);
+        foodFolder.add(PARAMS, 'eatRate', 0, 1, 0.001).name('Eat Rate (per boid/s)');
+        foodFolder.add(PARAMS, 'foodRegrowDelay', 0, 120, 1).name('Regrow Delay (s)');
+        foodFolder.close();
+
+        const lifeFolder = gui.addFolder('Life Cycle');
+        lifeFolder.add(PARAMS, 'lifeCycle').name('Enabled').onChange(v => {
+            updateUniforms();
+            if (v && !PARAMS.showMetrics) { // Open the metrics overlay for its population graph
+                gui.controllersRecursive().find(c => c.property === 'showMetrics').setValue(true);
+            }
+        });
+        lifeFolder.add(PARAMS, 'energyDrain', 0, 0.2, 0.001).name('Drain at Rest (/s)').onChange(updateUniforms);
+        lifeFolder.add(PARAMS, 'energySpeedDrain', 0, 0.5, 0.001).name('Drain at Full Speed (/s)').onChange(updateUniforms);
+        lifeFolder.add(PARAMS, 'feedRate', 0, 2, 0.01).name('Feeding (/s)').onChange(updateUniforms);
+        lifeFolder.add(PARAMS, 'birthEnergy', 0.05, 1, 0.01).name('Energy to Breed').onChange(updateUniforms);
+        lifeFolder.add(PARAMS, 'birthRate', 0, 2, 0.01).name('Birth Rate (/s)').onChange(updateUniforms);
+        lifeFolder.close();
+
+        const predatorFolder = gui.addFolder('Predators');
+        predatorFolder.add(PARAMS, 'predatorCount', 0, MAX_PREDATORS, 1).name('Count').onChange(updatePredatorCount);
+        predatorFolder.add(PARAMS, 'predatorStrategy', PREDATOR_STRATEGIES).name('Target Selection');
+        predatorFolder.add(PARAMS, 'predatorSpeed', 10, 300, 1).name('Speed');
+        predatorFolder.add(PARAMS, 'predatorTurnRate', 0.1, 10, 0.1).name('Turn Rate (rad/s)');
+        predatorFolder.add(PARAMS, 'catchRadius', 1, 30, 0.5).name('Catch Radius');
+        predatorFolder.add(PARAMS, 'predatorRestTime', 0, 20, 0.1).name('Rest After Catch (s)');
+        predatorFolder.add(PARAMS, 'predatorGiveUpTime', 1, 60, 1).name('Give Up After (s)');
+        predatorFolder.add(PARAMS, 'predatorSenseInterval', 0.02, 1, 0.01).name('Sense Interval (s)');
+        predatorFolder.add(predatorStats, 'totalCatches').name('Total Catches').listen().disable();
+        const catchFolder = predatorFolder.addFolder('Catches per Predator');
+        predatorSources.forEach((pred, i) => {
+            pred.catchController = catchFolder.add(pred, 'catches').name(`Predator ${i + 1}`).listen().disable();
+            pred.catchController.show(pred.active);
+        });
+        catchFolder.close();
+        predatorFolder.close();
+
+        const toolFolder = gui.addFolder('Pointer Tools');
+        toolFolder.add(PARAMS, 'pointerTool', POINTER_TOOLS).name('Tool').onChange(setPointerTool);
+        toolFolder.add(PARAMS, 'toolRadius', 10, 300, 1).name('Tool Radius');
+        toolFolder.add(PARAMS, 'repulsorWeight', 0, 20, 0.1).name('Repulsor Weight');
+        toolFolder.add(PARAMS, 'gustStrength', 0, 10, 0.1).name('Gust Strength');
+        toolFolder.add(PARAMS, 'gustDuration', 0.1, 10, 0.1).name('Gust Duration (s)');
+        toolFolder.add(PARAMS, 'herdWeight', 0, 10, 0.1).name('Herd Weight');
+        toolFolder.add(PARAMS, 'inspectArrowScale', 0.01, 5, 0.01).name('Inspector Arrow Scale');
+        toolFolder.close();
+
+        const pathFolder = gui.addFolder('Path & Leaders');
+        pathFolder.add(PARAMS, 'showPath').name('Show Path').onChange(updatePath);
+        pathFolder.add(PARAMS, 'pathClosed').name('Closed Loop').onChange(updatePath);
+        pathFolder.add(PARAMS, 'pathWeight', 0, 10, 0.1).name('Path Weight').onChange(updatePath);
+        pathFolder.add(PARAMS, 'pathLookAhead', 0, 200, 1).name('Look-Ahead Distance').onChange(updatePath);
+        pathFolder.add(PARAMS, 'pathShare', 0, 1, 0.01).name('Share Following').onChange(updatePath);
+        pathFolder.add(PARAMS, 'leaderCount', 0, 256, 1).name('Leaders').onChange(updatePath);
+        pathFolder.add(PARAMS, 'leaderAlignment', 1, 20, 0.5).name('Leader Alignment').onChange(updatePath);
+        pathFolder.addColor(PARAMS, 'leaderColor').name('Leader Colour').onChange(updatePath);
+        pathFolder.add({ clear: clearPath }, 'clear').name('Clear Waypoints');
+        pathFolder.add({ load: loadPathFile }, 'load').name('Load Path JSON');
+        pathFolder.add({ save: savePathFile }, 'save').name('Save Path JSON');
+        pathFolder.close();
+
+        const cameraFolder = gui.addFolder('Camera');
+        cameraFolder.add(PARAMS, 'cameraMode', CAMERA_MODES).name('Camera Mode');
+        const cameraBoid = cameraFolder.add(PARAMS, 'cameraBoid', 0, MAX_FLOCK_SIZE - 1, 1).name('Followed Boid');
+        cameraFolder.add({ random: () => {
+            PARAMS.cameraBoid = Math.floor(Math.random() * numBirds); // Not the seeded stream: the camera mustn't change the run
+            cameraBoid.updateDisplay();
+            cameraRig.snap = true;
+        } }, 'random').name('Follow Random Boid');
+        cameraFolder.add(PARAMS, 'chaseDistance', 5, 300, 1).name('Chase Distance');
+        cameraFolder.add(PARAMS, 'cameraSmoothing', 0, 2, 0.01).name('Smoothing (s)');
+        cameraFolder.add(PARAMS, 'cameraTransition', 0, 5, 0.1).name('Transition (s)');
+        cameraFolder.add(PARAMS, 'cinematicRadius', 50, 1500, 10).name('Orbit Radius');
+        cameraFolder.add(PARAMS, 'cinematicSpeed', 0.01, 1, 0.01).name('Orbit Speed (rad/s)');
+        cameraFolder.add(PARAMS, 'cameraPathDuration', 5, 120, 1).name('Dolly Lap (s)');
+        cameraFolder.add({ add: addCameraPathPoint }, 'add').name('Add Dolly Point (Current View)');
+        cameraFolder.add({ clear: clearCameraPath }, 'clear').name('Clear Dolly Path');
+        cameraFolder.close();
+
+        const flowFolder = gui.addFolder('Wind & Flow');
+        flowFolder.add(PARAMS, 'flowStrength', 0, 5, 0.05).name('Overall Strength').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'windSpeed', 0, 200, 1).name('Wind Speed').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'windAzimuth', 0, 360, 1).name('Wind Direction (°)').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'windElevation', -90, 90, 1).name('Wind Elevation (°)').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'turbulenceStrength', 0, 200, 1).name('Turbulence').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'turbulenceScale', 20, 1000, 5).name('Turbulence Scale').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'turbulenceEvolution', 0, 2, 0.01).name('Turbulence Evolution');
+        flowFolder.add(PARAMS, 'vortexCount', 0, MAX_VORTICES, 1).name('Vortices').onChange(() => {
+            updateFlowField();
+            updateVortexControls();
+        });
+        vortexFolders = PARAMS.vortices.map((vortex, i) => {
+            const folder = flowFolder.addFolder(`Vortex ${i + 1}`);
+            folder.add(vortex, 'x', -PARAMS.bounds / 2, PARAMS.bounds / 2, 1).onChange(updateFlowField); // Ranges follow the bounds (updateVortexControls)
+            folder.add(vortex, 'y', -PARAMS.bounds / 2, PARAMS.bounds / 2, 1).onChange(updateFlowField);
+            folder.add(vortex, 'z', -PARAMS.bounds / 2, PARAMS.bounds / 2, 1).onChange(updateFlowField);
+            folder.add(vortex, 'axis', VORTEX_AXES).name('Axis').onChange(updateFlowField);
+            folder.add(vortex, 'radius', 5, 400, 1).name('Core Radius').onChange(updateFlowField);
+            folder.add(vortex, 'strength', -200, 200, 1).name('Strength').onChange(updateFlowField);
+            folder.close();
+            return folder;
+        });
+        updateVortexControls();
+        flowFolder.add(PARAMS, 'bakedFieldStrength', 0, 5, 0.05).name('Baked Field Strength').onChange(updateFlowField);
+        flowFolder.add({ load: loadFlowFieldFile }, 'load').name('Load Baked Field');
+        flowFolder.add({ clear: () => setFlowFieldTexture(null) }, 'clear').name('Clear Baked Field');
+        flowFolder.add(PARAMS, 'showFlowField').name('Show Field Arrows').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'flowSliceAxis', FLOW_SLICE_AXES).name('Arrow Plane Normal').onChange(updateFlowField);
+        flowFolder.add(PARAMS, 'flowSliceOffset', -0.5, 0.5, 0.01).name('Arrow Plane Offset').onChange(updateFlowField);
+        flowFolder.close();
+
+        obstacleFolder = gui.addFolder('Obstacles');
+        obstacleFolder.add(PARAMS, 'obstacleWeight', 0, 20, 0.1).name('Avoidance Weight').onChange(updateUniforms);
+        obstacleFolder.add(PARAMS, 'obstacleLookAhead', 1, 200, 1).name('Look-Ahead Distance').onChange(updateUniforms);
+        obstacleFolder.add({ add: () => addObstacle({ type: 'sphere' }) }, 'add').name('Add Sphere');
+        obstacleFolder.add({ add: () => addObstacle({ type: 'box' }) }, 'add').name('Add Box');
+        obstacleFolder.add({ add: () => addObstacle({ type: 'capsule' }) }, 'add').name('Add Capsule');
+        obstacles.forEach(addObstacleControls);
+        obstacleFolder.close();
+
+        const boundaryFolder = gui.addFolder('Boundaries');
+        boundaryFolder.add(PARAMS, 'boundaryMode', BOUNDARY_MODES).name('Boundary Mode').onChange(updateUniforms);
+        boundaryFolder.add(PARAMS, 'bounds', 100, 2000, 10).name('Bounds').onChange(() => {
+            updateUniforms();
+            updateVortexControls();
+        });
+        boundaryFolder.add(PARAMS, 'wallMargin', 0, 200, 1).name('Wall Margin').onChange(updateUniforms);
+        boundaryFolder.add(PARAMS, 'wallWeight', 0, 10, 0.1).name('Wall Weight').onChange(updateUniforms);
+        boundaryFolder.close();
+
+        const visualFolder = gui.addFolder('Visuals');
+        visualFolder.add(PARAMS, 'birdScale', 0.1, 3.0, 0.05).onChange(v => birdUniforms.birdScale.value = v);
+        visualFolder.add(PARAMS, 'bloomThreshold', 0, 1, 0.01).onChange(v => bloomPass.threshold = v);
+        visualFolder.add(PARAMS, 'bloomStrength', 0, 3, 0.01).onChange(v => bloomPass.strength = v);
+        visualFolder.add(PARAMS, 'bloomRadius', 0, 1, 0.01).onChange(v => bloomPass.radius = v);
+        visualFolder.add(PARAMS, 'fogDensity', 0, 0.01, 0.0001).name('Fog Density').onChange(v => scene.fog.density = v);
+        visualFolder.addColor(PARAMS, 'fogColor').name('Fog Colour').onChange(v => scene.fog.color.set(v));
+        visualFolder.add(PARAMS, 'showFood').name('Show Food').onChange(updateSourceVisibility);
+        visualFolder.add(PARAMS, 'showSources').name('Show Predators').onChange(updateSourceVisibility);
+        visualFolder.add(PARAMS, 'showTrails').name('Show Trails').onChange(updateTrails);
+        visualFolder.add(PARAMS, 'trailLength', 2, TRAIL_MAX_LENGTH, 1).name('Trail Length (steps)').onChange(updateTrails);
+        visualFolder.add(PARAMS, 'trailWidth', 0.1, 10, 0.1).name('Trail Width').onChange(updateTrails);
+        visualFolder.add(PARAMS, 'trailFade', 0.1, 5, 0.05).name('Trail Fade').onChange(updateTrails);
+        visualFolder.add(PARAMS, 'trailFraction', 0.01, 1, 0.01).name('Boids With Trails').onChange(updateTrails);
+        visualFolder.add(PARAMS, 'trailGlow', 0, 5, 0.05).name('Trail Glow').onChange(updateTrails);
+        visualFolder.close();
+
+        const colorFolder = gui.addFolder('Colour');
+        colorFolder.add(PARAMS, 'colorMode', COLOR_MODES).name('Colour By').onChange(updateBirdColors);
+        colorFolder.add(PARAMS, 'colorMap', COLOR_MAPS).name('Colour Map').onChange(updateBirdColors);
+        colorFolder.addColor(PARAMS.gradientColors, '0').name('Gradient Low').onChange(updateBirdColors);
+        colorFolder.addColor(PARAMS.gradientColors, '1').name('Gradient Middle').onChange(updateBirdColors);
+        colorFolder.addColor(PARAMS.gradientColors, '2').name('Gradient High').onChange(updateBirdColors);
+        colorFolder.addColor(PARAMS, 'solidColor').name('Solid Colour').onChange(updateBirdColors);
+        colorFolder.add(PARAMS, 'densityRange', 1, 200, 1).name('Density Range (boids)').onChange(updateBirdColors);
+        colorFolder.add(PARAMS, 'colorEmissive', 0, 2, 0.01).name('Glow').onChange(updateBirdColors);
+        colorFolder.add(PARAMS, 'showLegend').name('Show Legend').onChange(updateColorLegend);
+        colorFolder.close();
+
+        const simulationFolder = gui.addFolder('Simulation');
+        simulationFolder.add(PARAMS, 'timeScale', 0.0, 10.0, 0.01).name('Time Scale');
+        simulationFolder.add(timing, 'dropped').name('Time Dropped (%)').listen().disable();
+        simulationFolder.add(PARAMS, 'fixedTimestep').name('Fixed Frame Time (1/60 s)');
+        simulationFolder.add(PARAMS, 'simulationRate', 10, 240, 1).name('Simulation Rate (Hz)');
+        simulationFolder.add(PARAMS, 'substeps', 1, 8, 1).name('Substeps');
+        simulationFolder.add(PARAMS, 'integrator', INTEGRATORS).name('Integrator').onChange(v => positionUniforms["integrator"].value = v);
+        simulationFolder.add(PARAMS, 'interpolate').name('Interpolate Rendering');
+        simulationFolder.add(PARAMS, 'flockSize', 1, MAX_FLOCK_SIZE, 1).name('Flock Size').onFinishChange(v => setFlockSize(v));
+        simulationFolder.add(PARAMS, 'keepBoidsOnResize').name('Keep Boids on Resize');
+        simulationFolder.add(PARAMS, 'seed').step(1).name('Seed');
+        simulationFolder.add({ restart: () => restartSimulation() }, 'restart').name('Restart With Seed');
+        simulationFolder.add({ newSeed: () => {
+            PARAMS.seed = Math.floor(Math.random() * 1000000);
+            restartSimulation();
+        } }, 'newSeed').name('Restart With New Seed');
+        simulationFolder.add(PARAMS, 'readbackInterval', 0.05, 5.0, 0.05).name('CPU Readback Interval (s)');
+        simulationFolder.add(PARAMS, 'showStats').name('Show Frame Time').onChange(v => stats.dom.style.display = v ? '' : 'none');
+        simulationFolder.add(PARAMS, 'showMetrics').name('Show Flock Metrics').onChange(v => {
+            metrics.dom.style.display = v ? '' : 'none';
+            metrics.elapsed = Infinity; // Fresh numbers as soon as it opens
+        });
+        simulationFolder.add(PARAMS, 'metricsInterval', 0.1, 5, 0.1).name('Metrics Interval (s)');
+
+        recordFolder = gui.addFolder('Record & Replay');
+        recordFolder.add(PARAMS, 'recordRate', 1, 60, 1).name('Record Rate (fps)');
+        const recordButton = recordFolder.add({ toggle: () => {
+            if (recorder.active) stopRecording();
+            else startRecording();
+            recordButton.name(recorder.active ? 'Stop Recording' : 'Start Recording');
+        } }, 'toggle').name('Start Recording');
+        recordFolder.add(recorder, 'time').name('Recorded (s)').listen().disable();
+        recordFolder.add({ save: saveRecording }, 'save').name('Save Recording');
+        recordFolder.add({ load: loadRecording }, 'load').name('Load Recording');
+        replay.controllers = [
+            recordFolder.add(replay, 'playing').name('Playing'),
+            recordFolder.add(replay, 'time', 0, 1, 0.01).name('Replay Time (s)').listen(),
+            recordFolder.add(PARAMS, 'replaySpeed', 0.1, 4, 0.05).name('Replay Speed'),
+            recordFolder.add({ exit: exitReplay }, 'exit').name('Back to Simulation')
+        ];
+        replay.controllers.forEach(c => c.hide());
+        recordFolder.close();
+
+        const exportFolder = gui.addFolder('Export Data');
+        exportFolder.add(PARAMS, 'exportFormat', EXPORT_FORMATS).name('Format');
+        exportFolder.add(PARAMS, 'exportIndices').name('Boid Indices (blank = all)');
+        exportFolder.add({ snapshot: exportSnapshot }, 'snapshot').name('Export Snapshot');
+        exportFolder.add(PARAMS, 'exportDuration', 0.5, 120, 0.5).name('Window Length (s)');
+        exportFolder.add(PARAMS, 'exportInterval', 0.02, 5, 0.01).name('Sample Interval (s)');
+        const windowButton = exportFolder.add({ toggle: () => {
+            if (exporter.active) finishExport();
+            else startExportWindow();
+            windowButton.name(exporter.active ? 'Stop and Export' : 'Export Time Window');
+        } }, 'toggle').name('Export Time Window');
+        exporter.button = windowButton;
+        exportFolder.add(exporter, 'remaining').name('Window Left (s)').listen().disable();
+        exportFolder.close();
+
+        const clipFolder = gui.addFolder('Render Clip');
+        clipFolder.add(PARAMS, 'clipFormat', CLIP_FORMATS).name('Format');
+        clipFolder.add(PARAMS, 'clipWidth', 64, 4096, 2).name('Width (px)');
+        clipFolder.add(PARAMS, 'clipHeight', 64, 4096, 2).name('Height (px)');
+        clipFolder.add(PARAMS, 'clipFps', 10, 120, 1).name('Frame Rate (fps)');
+        clipFolder.add(PARAMS, 'clipDuration', 0.5, 120, 0.5).name('Duration (s)');
+        clipFolder.add(PARAMS, 'clipBitrate', 1, 100, 1).name('WebM Bitrate (Mbit/s)');
+        clipFolder.add(PARAMS, 'clipFromStart').name('Restart From Seed');
+        clipFolder.add({ render: renderClip }, 'render').name('Render Clip');
+        clipFolder.close();
+
+        gui.close(); // Start GUI closed
+    }
+
+    function updateUniforms() {
+        velocityUniforms["separationDistance"].value = PARAMS.separationDistance;
+        velocityUniforms["alignmentDistance"].value = PARAMS.alignmentDistance;
+        velocityUniforms["cohesionDistance"].value = PARAMS.cohesionDistance;
+        velocityUniforms["freedomFactor"].value = PARAMS.freedomFactor;
+        velocityUniforms["neighborSearchMode"].value = PARAMS.neighborSearch === 'grid' ? 0 : 1;
+        velocityUniforms["viewCosine"].value = Math.cos(THREE.MathUtils.degToRad(PARAMS.viewAngle / 2));
+        velocityUniforms["topologicalK"].value = PARAMS.neighborRule === 'topological' ? THREE.MathUtils.clamp(Math.round(PARAMS.topologicalK), 1, MAX_TOPOLOGICAL_K) : 0;
+        updateGridUniforms();
+        velocityUniforms["separationWeight"].value = PARAMS.separationWeight;
+        velocityUniforms["alignmentWeight"].value = PARAMS.alignmentWeight;
+        velocityUniforms["cohesionWeight"].value = PARAMS.cohesionWeight;
+        velocityUniforms["predatorWeight"].value = PARAMS.predatorWeight;
+        velocityUniforms["maxSpeed"].value = PARAMS.maxSpeed;
+        velocityUniforms["maxSteerForce"].value = PARAMS.maxSteerForce;
+        velocityUniforms["lifeCycle"].value = PARAMS.lifeCycle;
+        velocityUniforms["energyDrain"].value = PARAMS.energyDrain;
+        velocityUniforms["energySpeedDrain"].value = PARAMS.energySpeedDrain;
+        velocityUniforms["feedRate"].value = PARAMS.feedRate;
+        velocityUniforms["eatRadius"].value = PARAMS.eatRadius;
+        velocityUniforms["birthEnergy"].value = PARAMS.birthEnergy;
+        velocityUniforms["birthRate"].value = PARAMS.birthRate;
+        positionUniforms["integrator"].value = PARAMS.integrator;
+
+        // ADD/UPDATE New Uniforms
+        velocityUniforms["foodWeight"].value = PARAMS.foodWeight;
+        velocityUniforms["predatorWeight"].value = PARAMS.predatorWeight;
+        velocityUniforms["foodRadius"].value = PARAMS.foodRadius;
+        velocityUniforms["foodOrbitSpeed"].value = PARAMS.foodOrbitSpeed;
+        velocityUniforms["predatorRadius"].value = PARAMS.predatorRadius;
+
+        velocityUniforms["bounds"].value = PARAMS.bounds; // Shared with the position pass
+        velocityUniforms["boundaryMode"].value = PARAMS.boundaryMode;
+        velocityUniforms["wallMargin"].value = PARAMS.wallMargin;
+        velocityUniforms["wallWeight"].value = PARAMS.wallWeight;
+
+        velocityUniforms["obstacleWeight"].value = PARAMS.obstacleWeight;
+        velocityUniforms["obstacleLookAhead"].value = PARAMS.obstacleLookAhead;
+
+        updateSpeciesUniforms();
+        updateColorLegend(); // Its labels follow maxSpeed and predatorRadius
+    }
+
+
+    // Re-create the initial flock, food and predators from PARAMS.seed
+    function restartSimulation() {
+        PARAMS.seed = Math.floor(PARAMS.seed) >>> 0;
+        random = createRandom(PARAMS.seed);
+        simulationTime = 0;
+        simulationFrame = 0;
+        pendingKills.length = 0;
+        velocityUniforms["randomSeed"].value = shaderSeed(PARAMS.seed);
+
+        // Same draw order as initGPUCompute() so a seed always yields the same flock
+        const dtPosition = gpuCompute.createTexture();
+        const dtVelocity = gpuCompute.createTexture();
+        fillPositionTexture(dtPosition);
+        fillVelocityTexture(dtVelocity);
+        for (const target of positionVariable.renderTargets) gpuCompute.renderTexture(dtPosition, target);
+        for (const target of velocityVariable.renderTargets) gpuCompute.renderTexture(dtVelocity, target);
+        dtPosition.dispose();
+        dtVelocity.dispose();
+        assignSpecies();
+        savePreviousPositions();
+        resetTrails();
+        accumulator = 0;
+        velocityUniforms["turbulencePhase"].value = 0.0;
+
+        resetAttractorsPredators();
+        updateSourceVisibility();
+        flockState.time = -Infinity;
+        flockState.frame = -1;
+
+        // Keep the URL shareable
+        if (urlState) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', PARAMS.seed);
+            window.history.replaceState(null, '', url);
+        }
+
+        gui.controllersRecursive().forEach(c => c.updateDisplay());
+    }
+
+
+    // One sub-folder per active species, rebuilt when the species count changes
+    function addSpeciesControls() {
+        [...speciesFolder.folders].forEach(folder => folder.destroy()); // destroy() splices folders
+        for (let i = 0; i < PARAMS.speciesCount; i++) {
+            const species = PARAMS.species[i];
+            const folder = speciesFolder.addFolder(`Species ${i + 1}`);
+            folder.add(species, 'share', 0, 10, 0.1).name('Share of Flock').onFinishChange(assignSpecies);
+            folder.add(species, 'speed', 0.1, 3, 0.05).name('Speed ×').onChange(updateUniforms);
+            folder.add(species, 'separation', 0, 5, 0.05).name('Separation ×').onChange(updateUniforms);
+            folder.add(species, 'alignment', 0, 5, 0.05).name('Alignment ×').onChange(updateUniforms);
+            folder.add(species, 'cohesion', 0, 5, 0.05).name('Cohesion ×').onChange(updateUniforms);
+            folder.add(species, 'radius', 0.25, 3, 0.05).name('Radius ×').onChange(updateUniforms);
+            folder.add(species, 'scale', 0.1, 3, 0.05).name('Scale ×').onChange(updateUniforms);
+            folder.addColor(species, 'color').name('Colour').onChange(updateUniforms);
+            // How this species reacts to each species (itself included)
+            for (let j = 0; j < PARAMS.speciesCount; j++) {
+                folder.add(PARAMS.speciesInteraction[i], j, -2, 2, 0.05)
+                    .name(j === i ? 'Own Species' : `Toward Species ${j + 1}`)
+                    .onChange(updateUniforms);
+            }
+            if (i > 0) folder.close();
+        }
+    }
+
+    // --- Presets (save, load, share) ---
+
+    // Copy of PARAMS with the per-session keys left out
+    function serializeParams() {
+        const values = JSON.parse(JSON.stringify(PARAMS));
+        PRESET_EXCLUDED_KEYS.forEach(key => delete values[key]);
+        return values;
+    }
+
+    // Copy the known keys of source into target, recursing into nested objects and arrays.
+    // Unknown keys, nulls and values of the wrong type are ignored so stale JSON is harmless.
+    function mergeParams(target, source) {
+        for (const key of Object.keys(source)) {
+            const value = source[key];
+            if (!(key in target) || value === null || value === undefined) continue;
+            if (PRESET_LIST_KEYS.includes(key)) {
+                if (Array.isArray(value)) target[key] = JSON.parse(JSON.stringify(value));
+            } else if (typeof target[key] === 'object' && target[key] !== null) {
+                if (typeof value === 'object') mergeParams(target[key], value);
+            } else if (typeof value === typeof target[key]) {
+                target[key] = value;
+            }
+        }
+    }
+
+    // The parts of values that differ from defaults (null marks unchanged array entries)
+    function diffParams(values, defaults) {
+        if (typeof values !== 'object' || values === null) {
+            return values === defaults ? undefined : values;
+        }
+        const diff = Array.isArray(values) ? [] : {};
+        let changed = false;
+        for (const key of Object.keys(values)) {
+            const entry = diffParams(values[key], defaults?.[key]);
+            if (entry !== undefined) changed = true;
+            if (Array.isArray(diff)) diff.push(entry ?? null);
+            else if (entry !== undefined) diff[key] = entry;
+        }
+        return changed ? diff : undefined;
+    }
+
+    // Start-up values: a shared link wins over the settings saved in this browser
+    function loadInitialParams() {
+        const values = (urlState ? readParamsFromHash() : null) ?? loadParamsFromStorage();
+        if (values) {
+            PRESET_EXCLUDED_KEYS.forEach(key => delete values[key]);
+            mergeParams(PARAMS, values);
+        }
+    }
+
+    // Merge values into PARAMS and push everything out to the simulation, scene and GUI
+    function applyParams(values) {
+        if (replay.active) exitReplay(); // Restores the live settings, so it goes first
+        PRESET_EXCLUDED_KEYS.forEach(key => delete values[key]);
+        mergeParams(PARAMS, values);
+
+        if (PARAMS.flockSize !== numBirds) setFlockSize(PARAMS.flockSize);
+        updateUniforms();
+        assignSpecies();
+        updatePredatorCount();
+        updatePath();
+        updateFlowField();
+        updateVortexControls();
+        birdUniforms.birdScale.value = PARAMS.birdScale;
+        updateBirdColors();
+        updateTrails();
+        updateCameraPath();
+        bloomPass.threshold = PARAMS.bloomThreshold;
+        bloomPass.strength = PARAMS.bloomStrength;
+        bloomPass.radius = PARAMS.bloomRadius;
+        scene.fog.color.set(PARAMS.fogColor);
+        scene.fog.density = PARAMS.fogDensity;
+        stats.dom.style.display = PARAMS.showStats ? '' : 'none';
+        metrics.dom.style.display = PARAMS.showMetrics ? '' : 'none';
+
+        addSpeciesControls();
+        gui.controllersRecursive().forEach(c => c.updateDisplay());
+        simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+    }
+
+    // Reset to the defaults, then apply partial settings such as a preset or a shared link
+    function applyOverDefaults(values) {
+        const merged = JSON.parse(JSON.stringify(DEFAULT_PARAMS));
+        mergeParams(merged, values);
+        applyParams(merged);
+    }
+
+    function saveParamsToStorage() {
+        if (storageKey === null) return;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(serializeParams()));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    function loadParamsFromStorage() {
+        if (storageKey === null) return null;
+        try {
+            const json = localStorage.getItem(storageKey);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.warn('Could not load saved settings:', error);
+            return null;
+        }
+    }
+
+    function exportParamsFile() {
+        downloadBlob(new Blob([JSON.stringify(serializeParams(), null, 2)], { type: 'application/json' }), 'boids-preset.json');
+    }
+
+    function downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    function importParamsFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                applyParams(JSON.parse(await file.text()));
+            } catch (error) {
+                console.warn(`Could not import ${file.name}:`, error);
+            }
+        });
+        input.click();
+    }
+
+    // #params=<base64 JSON of the settings that differ from the defaults>
+    function readParamsFromHash() {
+        const encoded = new URLSearchParams(window.location.hash.slice(1)).get(PRESET_HASH_KEY);
+        if (!encoded) return null;
+        try {
+            const bytes = Uint8Array.from(atob(encoded), c => c.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            console.warn('Ignoring malformed settings in the URL:', error);
+            return null;
+        }
+    }
+
+    function shareParamsLink() {
+        const json = JSON.stringify(diffParams(serializeParams(), DEFAULT_PARAMS) ?? {});
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) { // In chunks, as spreading a long array overflows the call stack
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        const encoded = btoa(binary);
+        const url = new URL(window.location.href);
+        url.hash = `${PRESET_HASH_KEY}=${encodeURIComponent(encoded)}`;
+        if (urlState) window.history.replaceState(null, '', url);
+        navigator.clipboard?.writeText(url.href).catch(error => console.warn('Could not copy the link:', error));
+    }
+
+    // --- Event Handlers ---
+
+    function onResize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (width === 0 || height === 0) return; // Hidden; keep the last size
+        if (clip.active) return; // Rendering at the clip size; restored when it ends
+
+        setViewSize(width, height, window.devicePixelRatio);
+    }
+
+    // Size the drawing buffer and post-processing; updateStyle = false leaves the canvas's CSS size alone
+    function setViewSize(width, height, pixelRatio, updateStyle = true) {
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(width, height, updateStyle);
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(width, height);
+
+        fxaaPass.material.uniforms['resolution'].value.x = 1 / (width * pixelRatio);
+        fxaaPass.material.uniforms['resolution'].value.y = 1 / (height * pixelRatio);
+    }
+
+    // Pasting a share link into an open tab (urlState only)
+    function onHashChange() {
+        const values = readParamsFromHash();
+        if (values) applyOverDefaults(values);
+    }
+
+
+    // --- Path Following ---
+    // Waypoints come from PARAMS.pathPoints (presets, shared links, Load Path JSON or the
+    // Add Waypoint tool); the spline through them is resampled for the velocity pass.
+
+    function initPath() {
+        pathLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: PATH_COLOR, transparent: true, opacity: 0.6 }));
+        pathMarkers = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({ color: PATH_COLOR, size: 6 }));
+        scene.add(pathLine, pathMarkers);
+        updatePath();
+    }
+
+    // Rebuild the spline from PARAMS.pathPoints and update the path and leader uniforms
+    function updatePath() {
+        const waypoints = PARAMS.pathPoints
+            .filter(point => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite))
+            .map(point => new THREE.Vector3(...point));
+        let samples = [];
+        let spacing = 1;
+        if (waypoints.length > 1) {
+            const curve = new THREE.CatmullRomCurve3(waypoints, PARAMS.pathClosed, 'centripetal');
+            const segments = PARAMS.pathClosed ? PATH_SAMPLES : PATH_SAMPLES - 1;
+            samples = curve.getSpacedPoints(segments).slice(0, PATH_SAMPLES); // A closed curve ends where it starts
+            spacing = Math.max(curve.getLength() / segments, 0.001);
+        }
+        samples.forEach((point, i) => velocityUniforms["pathPoints"].value[i].copy(point));
+        velocityUniforms["pathPointCount"].value = samples.length;
+        velocityUniforms["pathClosed"].value = PARAMS.pathClosed;
+        velocityUniforms["pathSpacing"].value = spacing;
+        velocityUniforms["pathWeight"].value = PARAMS.pathWeight;
+        velocityUniforms["pathLookAhead"].value = PARAMS.pathLookAhead;
+        velocityUniforms["pathShare"].value = PARAMS.pathShare;
+        velocityUniforms["leaderCount"].value = PARAMS.leaderCount;
+        velocityUniforms["leaderAlignment"].value = PARAMS.leaderAlignment;
+        birdUniforms.birdLeaderColor.value.set(PARAMS.leaderColor);
+
+        // Point counts change, so the visuals get fresh geometry
+        pathLine.geometry.dispose();
+        pathLine.geometry = new THREE.BufferGeometry().setFromPoints(PARAMS.pathClosed && samples.length ? [...samples, samples[0]] : samples);
+        pathMarkers.geometry.dispose();
+        pathMarkers.geometry = new THREE.BufferGeometry().setFromPoints(waypoints);
+        pathLine.visible = PARAMS.showPath;
+        pathMarkers.visible = PARAMS.showPath;
+    }
+
+    function addWaypoint(point) {
+        PARAMS.pathPoints.push(point.toArray().map(v => Math.round(v * 10) / 10));
+        updatePath();
+        simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+    }
+
+    function clearPath() {
+        PARAMS.pathPoints = [];
+        updatePath();
+        simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+    }
+
+    // Path files are { "points": [[x, y, z], ...], "closed": true }, or just the points
+    function savePathFile() {
+        const path = { points: PARAMS.pathPoints, closed: PARAMS.pathClosed };
+        downloadBlob(new Blob([JSON.stringify(path, null, 2)], { type: 'application/json' }), 'boids-path.json');
+    }
+
+    function loadPathFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const path = JSON.parse(await file.text());
+                const points = Array.isArray(path) ? path : path.points;
+                if (!Array.isArray(points)) throw new Error('no "points" list');
+                applyParams(typeof path.closed === 'boolean' ? { pathPoints: points, pathClosed: path.closed } : { pathPoints: points });
+            } catch (error) {
+                console.warn(`Could not load path ${file.name}:`, error);
+            }
+        });
+        input.click();
+    }
+
+    // --- Wind & Flow Fields ---
+    // The field itself is evaluated on the GPU (flowCommonShader); this side turns PARAMS
+    // into its uniforms, loads baked fields and draws the debug arrows.
+
+    function initFlowField() {
+        // The arrows share the velocity pass's flow uniforms, so they always match
+        const uniforms = {
+            sliceAxis: { value: PARAMS.flowSliceAxis },
+            sliceOffset: { value: PARAMS.flowSliceOffset },
+            bounds: velocityUniforms["bounds"],
+            maxSpeed: velocityUniforms["maxSpeed"]
+        };
+        for (const name of ['flowActive', 'flowStrength', 'windVelocity', 'vortexShape', 'vortexAxis', 'vortexCount', 'turbulenceStrength',
+            'turbulenceScale', 'turbulencePhase', 'flowFieldTexture', 'bakedFieldStrength', 'flowFieldMin', 'flowFieldSize']) {
+            uniforms[name] = velocityUniforms[name];
+        }
+
+        // Each arrow is a shaft and two barbs: three line segments
+        const arrowSegments = [[0, 0], [1, 0], [1, 0], [0.7, 0.15], [1, 0], [0.7, -0.15]];
+        const positions = [];
+        const arrowVertices = [];
+        for (let j = 0; j < FLOW_ARROW_GRID; j++) {
+            for (let i = 0; i < FLOW_ARROW_GRID; i++) {
+                for (const vertex of arrowSegments) {
+                    positions.push((i + 0.5) / FLOW_ARROW_GRID - 0.5, (j + 0.5) / FLOW_ARROW_GRID - 0.5, 0);
+                    arrowVertices.push(...vertex);
+                }
+            }
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('arrowVertex', new THREE.Float32BufferAttribute(arrowVertices, 2));
+
+        flowArrows = new THREE.LineSegments(geometry, new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: flowArrowVertexShader,
+            fragmentShader: flowArrowFragmentShader,
+            transparent: true,
+            depthWrite: false
+        }));
+        flowArrows.frustumCulled = false; // Placed in the shader
+        scene.add(flowArrows);
+        updateFlowField();
+    }
+
+    function updateFlowField() {
+        const azimuth = THREE.MathUtils.degToRad(PARAMS.windAzimuth);
+        const elevation = THREE.MathUtils.degToRad(PARAMS.windElevation);
+        velocityUniforms["windVelocity"].value.set(
+            Math.cos(elevation) * Math.cos(azimuth),
+            Math.sin(elevation),
+            Math.cos(elevation) * Math.sin(azimuth)
+        ).multiplyScalar(PARAMS.windSpeed);
+
+        PARAMS.vortices.forEach((vortex, i) => {
+            velocityUniforms["vortexShape"].value[i].set(vortex.x, vortex.y, vortex.z, Math.max(vortex.radius, 1));
+            velocityUniforms["vortexAxis"].value[i].set(vortex.axis === 'x' ? 1 : 0, vortex.axis === 'y' ? 1 : 0, vortex.axis === 'z' ? 1 : 0, vortex.strength);
+        });
+        velocityUniforms["vortexCount"].value = PARAMS.vortexCount;
+        velocityUniforms["turbulenceStrength"].value = PARAMS.turbulenceStrength;
+        velocityUniforms["turbulenceScale"].value = PARAMS.turbulenceScale;
+        velocityUniforms["flowStrength"].value = PARAMS.flowStrength;
+        velocityUniforms["flowFieldTexture"].value = flowFieldTexture;
+        velocityUniforms["bakedFieldStrength"].value = flowFieldTexture ? PARAMS.bakedFieldStrength : 0.0;
+        velocityUniforms["flowActive"].value = PARAMS.flowStrength !== 0 && (PARAMS.windSpeed !== 0 || PARAMS.vortexCount > 0 ||
+            PARAMS.turbulenceStrength > 0 || velocityUniforms["bakedFieldStrength"].value > 0);
+
+        flowArrows.visible = PARAMS.showFlowField;
+        flowArrows.material.uniforms.sliceAxis.value = PARAMS.flowSliceAxis;
+        flowArrows.material.uniforms.sliceOffset.value = PARAMS.flowSliceOffset;
+    }
+
+    function updateVortexControls() {
+        const half = PARAMS.bounds / 2;
+        vortexFolders.forEach((folder, i) => {
+            folder.show(i < PARAMS.vortexCount);
+            folder.controllers.filter(c => ['x', 'y', 'z'].includes(c.property)).forEach(c => c.min(-half).max(half).updateDisplay());
+        });
+    }
+
+    // vectors holds x, y, z per sample with x varying fastest; samples sit at the cell
+    // centres of [min, max], which defaults to the current arena
+    function setFlowFieldTexture(field) {
+        flowFieldTexture?.dispose();
+        flowFieldTexture = null;
+        if (field) {
+            const [nx, ny, nz] = field.size;
+            const data = new Float32Array(nx * ny * nz * 4);
+            for (let i = 0; i < nx * ny * nz; i++) {
+                data.set(field.vectors.subarray(i * 3, i * 3 + 3), i * 4);
+            }
+            flowFieldTexture = new THREE.Data3DTexture(data, nx, ny, nz);
+            flowFieldTexture.format = THREE.RGBAFormat;
+            flowFieldTexture.type = THREE.FloatType;
+            const filter = renderer.extensions.has('OES_texture_float_linear') ? THREE.LinearFilter : THREE.NearestFilter;
+            flowFieldTexture.minFilter = filter;
+            flowFieldTexture.magFilter = filter;
+            flowFieldTexture.needsUpdate = true;
+
+            const half = PARAMS.bounds / 2;
+            const min = new THREE.Vector3().fromArray(field.min ?? [-half, -half, -half]);
+            const max = new THREE.Vector3().fromArray(field.max ?? [half, half, half]);
+            velocityUniforms["flowFieldMin"].value.copy(min);
+            velocityUniforms["flowFieldSize"].value.subVectors(max, min);
+        }
+        updateFlowField();
+    }
+
+    // Baked fields: JSON { "size": [nx, ny, nz], "vectors": [x, y, z, ...], "min": [..], "max": [..] }
+    // or a NumPy float array of shape (nz, ny, nx, 3), which covers the arena
+    function loadFlowFieldFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.npy,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const field = file.name.endsWith('.npy') ? parseFlowFieldNpy(await file.arrayBuffer()) : parseFlowFieldJson(await file.text());
+                setFlowFieldTexture(field);
+            } catch (error) {
+                console.warn(`Could not load flow field ${file.name}:`, error);
+            }
+        });
+        input.click();
+    }
+
+    function parseFlowFieldJson(text) {
+        const { size, vectors, min, max } = JSON.parse(text);
+        if (!Array.isArray(size) || size.length !== 3 || !size.every(n => Number.isInteger(n) && n > 0)) {
+            throw new Error('"size" must be three positive integers');
+        }
+        if (!Array.isArray(vectors) || vectors.length !== size[0] * size[1] * size[2] * 3) {
+            throw new Error(`"vectors" must hold ${size[0] * size[1] * size[2] * 3} numbers`);
+        }
+        for (const [key, corner] of Object.entries({ min, max })) {
+            if (corner !== undefined && !(Array.isArray(corner) && corner.length === 3 && corner.every(Number.isFinite))) {
+                throw new Error(`"${key}" must be three finite numbers`);
+            }
+        }
+        return { size, vectors: Float32Array.from(vectors), min, max };
+    }
+
+    function parseFlowFieldNpy(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        if (view.getUint32(0) !== 0x934E554D) throw new Error('not a .npy file'); // \x93NUM
+        const major = bytes[6];
+        const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+        const headerStart = major === 1 ? 10 : 12;
+        const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+        const descr = header.match(/'descr':\s*'([^']+)'/)?.[1];
+        const shape = header.match(/'shape':\s*\(([^)]*)\)/)?.[1].split(',').filter(s => s.trim()).map(Number);
+        if (/'fortran_order':\s*True/.test(header)) throw new Error('Fortran-ordered arrays are not supported');
+        if (!shape || shape.length !== 4 || shape[3] !== 3 || !shape.every(n => Number.isInteger(n) && n > 0)) {
+            throw new Error('expected shape (nz, ny, nx, 3)');
+        }
+
+        const count = shape[0] * shape[1] * shape[2] * 3;
+        const dataStart = headerStart + headerLength;
+        const itemSize = { '<f4': 4, '<f8': 8 }[descr];
+        if (itemSize && buffer.byteLength < dataStart + count * itemSize) {
+            throw new Error(`truncated: shape (${shape.join(', ')}) needs ${count * itemSize} bytes of data`);
+        }
+        let vectors;
+        if (descr === '<f4') vectors = new Float32Array(buffer.slice(dataStart, dataStart + count * 4));
+        else if (descr === '<f8') vectors = Float32Array.from(new Float64Array(buffer.slice(dataStart, dataStart + count * 8)));
+        else throw new Error(`unsupported dtype ${descr}; use float32 or float64`);
+        return { size: [shape[2], shape[1], shape[0]], vectors };
+    }
+
+    // --- Pointer Tools ---
+    // Tools act on a camera-facing plane through the orbit target. While a tool is
+    // selected the left button belongs to the tool and the right button orbits.
+
+    function initPointerTools() {
+        pointerMarker = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 24, 12),
+            new THREE.MeshBasicMaterial({ color: 0x66aaff, wireframe: true, transparent: true, opacity: 0.25 })
+        );
+        pointerMarker.visible = false;
+        scene.add(pointerMarker);
+
+        gustArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0x88ccff);
+        gustArrow.visible = false;
+        scene.add(gustArrow);
+
+        setPointerTool(PARAMS.pointerTool);
+    }
+
+    function setPointerTool(tool) {
+        PARAMS.pointerTool = tool;
+        const orbiting = tool === 'orbit';
+        controls.mouseButtons.LEFT = orbiting ? THREE.MOUSE.ROTATE : null;
+        controls.mouseButtons.RIGHT = orbiting ? THREE.MOUSE.PAN : THREE.MOUSE.ROTATE;
+        controls.touches.ONE = orbiting ? THREE.TOUCH.ROTATE : null;
+        renderer.domElement.style.cursor = orbiting ? '' : 'crosshair';
+    }
+
+    // Intersect the pointer ray with the plane facing the camera through the orbit target
+    function getPointerPoint(event, target) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        raycaster.setFromCamera(mouse, camera);
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+        pointerPlane.setFromNormalAndCoplanarPoint(normal, controls.target);
+        return raycaster.ray.intersectPlane(pointerPlane, target);
+    }
+
+    function setPointerForce(mode, position, direction, strength) {
+        velocityUniforms["pointerMode"].value = POINTER_MODES[mode];
+        velocityUniforms["pointerPosition"].value.copy(position);
+        velocityUniforms["pointerDirection"].value.copy(direction);
+        velocityUniforms["pointerRadius"].value = PARAMS.toolRadius;
+        velocityUniforms["pointerStrength"].value = strength;
+    }
+
+    function clearPointerForce() {
+        velocityUniforms["pointerMode"].value = POINTER_MODES.none;
+        pointerMarker.visible = false;
+    }
+
+    function onPointerDown(event) {
+        if (PARAMS.pointerTool === 'orbit' || event.button !== 0) return;
+        if (getPointerPoint(event, pointer.start) === null) return;
+
+        event.preventDefault();
+        renderer.domElement.setPointerCapture(event.pointerId);
+        pointer.active = true;
+        pointer.point.copy(pointer.start);
+        pointer.previous.copy(pointer.start);
+        pointer.direction.set(0, 0, 0);
+
+        switch (PARAMS.pointerTool) {
+            case 'repulsor':
+                setPointerForce('repulsor', pointer.point, pointer.direction, PARAMS.repulsorWeight);
+                pointerMarker.position.copy(pointer.point);
+                pointerMarker.scale.setScalar(PARAMS.toolRadius);
+                pointerMarker.visible = true;
+                break;
+            case 'food':
+                dropFood(pointer.point);
+                pointer.active = false;
+                break;
+            case 'waypoint':
+                addWaypoint(pointer.point);
+                pointer.active = false;
+                break;
+            case 'inspect':
+                inspectBoid(pickBoid(raycaster.ray)); // Clicking empty space stops inspecting
+                pointer.active = false;
+                break;
+            case 'gust':
+                gustArrow.position.copy(pointer.start);
+                gustArrow.visible = false; // Shown once the drag has a direction
+                break;
+            case 'herd':
+                pointerMarker.position.copy(pointer.point);
+                pointerMarker.scale.setScalar(PARAMS.toolRadius);
+                pointerMarker.visible = true;
+                break;
+        }
+    }
+
+    function onPointerMove(event) {
+        if (!pointer.active || getPointerPoint(event, pointer.point) === null) return;
+
+        const drag = pointer.point.clone().sub(pointer.start);
+        switch (PARAMS.pointerTool) {
+            case 'repulsor':
+                velocityUniforms["pointerPosition"].value.copy(pointer.point);
+                pointerMarker.position.copy(pointer.point);
+                break;
+            case 'gust':
+                if (drag.length() > 1) {
+                    gustArrow.setDirection(drag.clone().normalize());
+                    gustArrow.setLength(drag.length(), Math.min(20, drag.length() * 0.3), Math.min(10, drag.length() * 0.15));
+                    gustArrow.visible = true;
+                }
+                break;
+            case 'herd': {
+                // Herd along the (smoothed) direction the brush is moving
+                const motion = pointer.point.clone().sub(pointer.previous);
+                if (motion.length() > 2) {
+                    pointer.direction.lerp(motion.normalize(), 0.3).normalize();
+                    pointer.previous.copy(pointer.point);
+                    setPointerForce('herd', pointer.point, pointer.direction, PARAMS.herdWeight);
+                }
+                velocityUniforms["pointerPosition"].value.copy(pointer.point);
+                pointerMarker.position.copy(pointer.point);
+                break;
+            }
+        }
+    }
+
+    function onPointerUp(event) {
+        if (!pointer.active) return;
+        pointer.active = false;
+        renderer.domElement.releasePointerCapture(event.pointerId);
+
+        if (PARAMS.pointerTool === 'gust') {
+            // The gust blows across the drag, centred on its midpoint, and dies down over gustDuration
+            const drag = pointer.point.clone().sub(pointer.start);
+            if (drag.length() > 1) {
+                const centre = pointer.start.clone().addScaledVector(drag, 0.5);
+                setPointerForce('gust', centre, drag.clone().normalize(), PARAMS.gustStrength);
+                velocityUniforms["pointerRadius"].value = Math.max(PARAMS.toolRadius, drag.length() / 2);
+                pointer.gustTimer = PARAMS.gustDuration;
+            } else {
+                gustArrow.visible = false;
+            }
+        } else {
+            clearPointerForce();
+        }
+    }
+
+    // Let an active gust die down (call from the animate loop)
+    function updatePointerTools(delta) {
+        if (pointer.gustTimer <= 0) return;
+
+        pointer.gustTimer -= delta;
+        if (velocityUniforms["pointerMode"].value !== POINTER_MODES.gust) {
+            pointer.gustTimer = 0; // Replaced by another tool
+        } else if (pointer.gustTimer <= 0) {
+            clearPointerForce();
+        } else {
+            velocityUniforms["pointerStrength"].value = PARAMS.gustStrength * pointer.gustTimer / PARAMS.gustDuration;
+        }
+        gustArrow.visible = pointer.gustTimer > 0;
+    }
+
+    // Place a stationary food source, reusing an inactive slot or the next one round-robin
+    function dropFood(position) {
+        let index = foodSources.findIndex(food => !food.active);
+        if (index === -1) {
+            index = nextFoodSlot;
+            nextFoodSlot = (nextFoodSlot + 1) % MAX_FOOD;
+        }
+
+        const food = foodSources[index];
+        food.position.copy(position);
+        food.orbitParams = null;
+        food.dropped = true;
+        food.active = true;
+        food.amount = PARAMS.foodCapacity;
+        food.depleted = false;
+        food.regrowTimer = 0;
+        food.visual.position.copy(position);
+        food.visual.visible = true;
+        updateFoodVisual(food);
+
+        velocityUniforms.foodPositions.value[index].copy(position);
+        velocityUniforms.foodActive.value[index] = true;
+    }
+
+
+    // --- Force Inspector ---
+    // A click with the Inspect tool picks the boid nearest the pointer ray. After each
+    // frame's steps the DEBUG_FORCES variant of the velocity pass re-runs the last step
+    // for that boid alone, with the same inputs, and writes out every steering component.
+
+    function initDebugForces() {
+        velocityUniforms["debugBoid"] = { value: 0 };
+        // The variable's own source: init() has prepended its texturePosition/textureVelocity samplers
+        inspector.material = gpuCompute.createShaderMaterial(velocityVariable.material.fragmentShader, velocityUniforms);
+        inspector.material.defines.DEBUG_FORCES = '';
+        inspector.target = gpuCompute.createRenderTarget(DEBUG_TEXELS, 1);
+        inspector.stale = true;
+    }
+
+    function initInspector() {
+        inspector.dom = document.createElement('div');
+        Object.assign(inspector.dom.style, {
+            position: 'absolute', top: '60px', left: '10px', padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.6)', color: 'white', font: '11px monospace', display: 'none'
+        });
+        inspector.title = document.createElement('div');
+        inspector.details = document.createElement('div');
+        Object.assign(inspector.details.style, { whiteSpace: 'pre', margin: '4px 0' });
+        inspector.dom.append(inspector.title, inspector.details);
+
+        for (const { label, color } of DEBUG_FORCES) {
+            const row = document.createElement('div');
+            const swatch = document.createElement('span');
+            const name = document.createElement('span');
+            const value = document.createElement('span');
+            Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px' });
+            Object.assign(swatch.style, { width: '8px', height: '8px', background: color });
+            Object.assign(name.style, { width: '120px' });
+            Object.assign(value.style, { width: '60px', textAlign: 'right' });
+            name.textContent = label;
+            row.append(swatch, name, value);
+            inspector.dom.appendChild(row);
+            inspector.values.push(value);
+            inspector.arrows.push(new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, color));
+        }
+        inspector.arrows.forEach(arrow => arrow.visible = false);
+        scene.add(...inspector.arrows);
+
+        const buttons = document.createElement('div');
+        Object.assign(buttons.style, { display: 'flex', gap: '6px', marginTop: '4px' });
+        const follow = document.createElement('button');
+        follow.textContent = 'Chase Camera';
+        follow.addEventListener('click', () => {
+            PARAMS.cameraBoid = inspector.boid;
+            PARAMS.cameraMode = 'chase';
+            gui.controllersRecursive().forEach(c => c.updateDisplay());
+        });
+        const close = document.createElement('button');
+        close.textContent = 'Close';
+        close.addEventListener('click', () => inspectBoid(-1));
+        buttons.append(follow, close);
+        inspector.dom.appendChild(buttons);
+        container.appendChild(inspector.dom);
+    }
+
+    // Start inspecting boid index (-1 stops)
+    function inspectBoid(index) {
+        inspector.boid = index;
+        inspector.stale = true;
+        birdUniforms.birdInspected.value = index;
+        inspector.dom.style.display = index === -1 ? 'none' : '';
+        inspector.arrows.forEach(arrow => arrow.visible = false);
+        updateInspector();
+    }
+
+    // Index of the boid closest in angle to ray, within INSPECT_PICK_ANGLE, or -1
+    function pickBoid(ray) {
+        const { positions, velocities } = replay.active ? replayFlock() : getFlockState(0);
+        const toBoid = new THREE.Vector3();
+        let picked = -1;
+        let pickedAngle = INSPECT_PICK_ANGLE;
+        for (let i = 0, k = 0; k < positions.length; i++, k += 4) {
+            if (velocities[k + 3] <= 0) continue; // Dead
+            toBoid.fromArray(positions, k).sub(ray.origin);
+            const along = toBoid.dot(ray.direction);
+            if (along <= 0) continue; // Behind the camera
+            const angle = Math.sqrt(Math.max(toBoid.lengthSq() - along * along, 0)) / along;
+            if (angle < pickedAngle) {
+                picked = i;
+                pickedAngle = angle;
+            }
+        }
+        return picked;
+    }
+
+    function updateInspector() {
+        if (inspector.boid === -1) return;
+        const live = !replay.active; // A replay has no forces to show
+        if (live && inspector.stale && !inspector.pending) {
+            // Read back without waiting on the GPU; the numbers trail the view by a frame or two
+            const boid = inspector.boid;
+            velocityUniforms["debugBoid"].value = boid;
+            gpuCompute.doRenderTarget(inspector.material, inspector.target);
+            inspector.stale = false;
+            inspector.pending = true;
+            renderer.readRenderTargetPixelsAsync(inspector.target, 0, 0, DEBUG_TEXELS, 1, inspector.incoming).then(() => {
+                if (boid !== inspector.boid) return;
+                inspector.readback.set(inspector.incoming);
+                const neighbors = birdUniforms.birdInspectNeighbors.value;
+                for (let n = 0; n < MAX_TOPOLOGICAL_K; n++) {
+                    neighbors[n] = Math.round(inspector.readback[DEBUG_SLOTS.nearest * 4 + n]);
+                }
+            }).catch(error => console.warn('Could not read the inspected boid\'s forces:', error)).finally(() => {
+                inspector.pending = false;
+            });
+        }
+
+        const position = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+        const species = readBoid(inspector.reader, inspector.boid, position, velocity);
+        const radiusScale = PARAMS.species[species]?.radius ?? 1;
+        birdUniforms.birdInspectRadius.value = Math.max(PARAMS.separationDistance, PARAMS.alignmentDistance, PARAMS.cohesionDistance) * radiusScale;
+
+        const readback = inspector.readback;
+        const n = DEBUG_SLOTS.neighbors * 4;
+        // The widened grid search or sampling can still come up short of k
+        const k = velocityUniforms["topologicalK"].value;
+        const found = birdUniforms.birdInspectNeighbors.value.filter((index, i) => i < k && index >= 0).length;
+        inspector.title.textContent = `Boid ${inspector.boid} (species ${species + 1})`;
+        inspector.details.textContent = [
+            `Position  ${position.toArray().map(v => v.toFixed(1).padStart(7)).join('')}`,
+            `Speed     ${velocity.length().toFixed(1).padStart(7)}`,
+            ...(live && PARAMS.lifeCycle ? [`Energy    ${readback[DEBUG_SLOTS.velocity * 4 + 3].toFixed(2).padStart(7)}`] : []),
+            live ? `Neighbours ${readback[n].toFixed(0)} sep, ${readback[n + 1].toFixed(0)} align, ${readback[n + 2].toFixed(0)} coh` : 'Replay: no forces recorded',
+            ...(live && k > 0 ? [`Following ${found} of ${k} nearest`] : [])
+        ].join('\n');
+
+        const force = new THREE.Vector3();
+        DEBUG_FORCES.forEach((_, i) => {
+            force.fromArray(readback, i * 4);
+            const magnitude = force.length();
+            inspector.values[i].textContent = live ? magnitude.toFixed(2) : '-';
+            const arrow = inspector.arrows[i];
+            arrow.visible = live && magnitude * PARAMS.inspectArrowScale > 0.01;
+            if (!arrow.visible) return;
+            const length = magnitude * PARAMS.inspectArrowScale;
+            arrow.position.copy(position);
+            arrow.setDirection(force.divideScalar(magnitude));
+            arrow.setLength(length, Math.min(length * 0.2, 10), Math.min(length * 0.1, 5));
+        });
+    }
+
+    // --- Camera Modes ---
+    // Each mode computes a goal (camera position and look target) every frame. Goals are
+    // smoothed over cameraSmoothing seconds, and for cameraTransition seconds after a mode
+    // change the view eases from where it was into the new mode's goal.
+
+    function updateCamera(delta) {
+        if (PARAMS.cameraMode !== cameraRig.mode) beginCameraTransition();
+        const mode = cameraRig.mode;
+        if (mode === 'free') {
+            controls.update();
+            cameraRig.look.copy(controls.target);
+            return;
+        }
+
+        updateCameraGoal(mode, delta);
+        cameraRig.transition = PARAMS.cameraTransition > 0 ? Math.min(cameraRig.transition + delta / PARAMS.cameraTransition, 1) : 1;
+        const t = THREE.MathUtils.smoothstep(cameraRig.transition, 0, 1);
+        cameraRig.look.lerpVectors(cameraRig.fromTarget, cameraRig.target, t);
+
+        if (mode === 'centroid' || mode === 'cluster') {
+            // Carry the camera along with the target, so orbiting and zooming still work
+            camera.position.add(cameraRig.look).sub(controls.target);
+            controls.target.copy(cameraRig.look);
+            controls.update();
+        } else {
+            camera.position.lerpVectors(cameraRig.fromPosition, cameraRig.position, t);
+            camera.lookAt(cameraRig.look);
+        }
+    }
+
+    function beginCameraTransition() {
+        const mode = PARAMS.cameraMode;
+        cameraRig.fromPosition.copy(camera.position);
+        cameraRig.fromTarget.copy(cameraRig.look);
+        cameraRig.transition = 0;
+        cameraRig.snap = true;
+        cameraRig.mode = mode;
+
+        if (mode === 'free') controls.target.copy(cameraRig.look); // Orbit around what was in view
+        controls.enabled = mode === 'free' || mode === 'centroid' || mode === 'cluster';
+        if (mode === 'cinematic') {
+            flockCenter(cameraRig.target, false);
+            cameraRig.orbitAngle = Math.atan2(camera.position.z - cameraRig.target.z, camera.position.x - cameraRig.target.x);
+        }
+        if (mode === 'dolly') cameraRig.dollyTime = 0;
+    }
+
+    function updateCameraGoal(mode, delta) {
+        const position = new THREE.Vector3().copy(cameraRig.position);
+        const target = new THREE.Vector3();
+
+        if (mode === 'chase' || mode === 'firstPerson') {
+            const velocity = new THREE.Vector3();
+            readBoid(cameraRig.reader, THREE.MathUtils.clamp(Math.round(PARAMS.cameraBoid), 0, numBirds - 1), target, velocity);
+            if (velocity.lengthSq() > 1e-6) {
+                velocity.normalize();
+                if (cameraRig.snap) cameraRig.heading.copy(velocity);
+                else cameraRig.heading.lerp(velocity, smoothingFactor(delta)).normalize();
+            }
+            const heading = cameraRig.heading;
+            if (mode === 'chase') {
+                position.copy(target).addScaledVector(heading, -PARAMS.chaseDistance);
+                position.y += PARAMS.chaseDistance * 0.3;
+            } else {
+                position.copy(target).addScaledVector(heading, PARAMS.birdScale * 3); // Just ahead of its own beak
+                target.addScaledVector(heading, 100);
+            }
+            // A wrap-around would otherwise fly the camera across the arena
+            if (position.distanceTo(cameraRig.position) > PARAMS.bounds * 0.5) cameraRig.snap = true;
+        } else {
+            flockCenter(target, mode === 'cluster');
+            if (mode === 'cinematic') {
+                cameraRig.orbitAngle += delta * PARAMS.cinematicSpeed;
+                const angle = cameraRig.orbitAngle;
+                const radius = PARAMS.cinematicRadius;
+                position.set(Math.cos(angle) * radius, radius * (0.3 + 0.15 * Math.sin(angle * 0.37)), Math.sin(angle) * radius).add(target);
+            } else if (mode === 'dolly' && cameraRig.curve) {
+                cameraRig.dollyTime += delta;
+                cameraRig.curve.getPointAt((cameraRig.dollyTime / Math.max(PARAMS.cameraPathDuration, 0.1)) % 1, position);
+            } else if (cameraRig.snap) {
+                position.copy(camera.position); // Nothing to move along: stay put
+            }
+        }
+
+        if (cameraRig.snap) {
+            cameraRig.position.copy(position);
+            cameraRig.target.copy(target);
+            cameraRig.snap = false;
+        } else {
+            const k = smoothingFactor(delta);
+            // The first person camera rides on the boid; its heading is smoothed instead
+            if (mode === 'firstPerson') cameraRig.position.copy(position);
+            else cameraRig.position.lerp(position, k);
+            cameraRig.target.lerp(target, k);
+        }
+    }
+
+    // Share of the remaining distance to close this frame (frame rate independent)
+    function smoothingFactor(delta) {
+        return 1 - Math.exp(-delta / Math.max(PARAMS.cameraSmoothing, 0.001));
+    }
+
+    // State of readBoid() for one watcher (the camera, the inspector)
+    function createBoidReader() {
+        return {
+            index: -1,
+            pending: false,                       // An asynchronous read is in flight
+            time: -Infinity,                      // simulationTime of the state read
+            frame: -1,                            // and its simulationFrame
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            species: 0,
+            positionTexel: new Float32Array(4),
+            velocityTexel: new Float32Array(4)
+        };
+    }
+
+    // Position and velocity of one boid, near where the bird material draws it; returns its
+    // species. Reads are asynchronous so the GPU never stalls: the last one is extrapolated.
+    function readBoid(reader, index, position, velocity) {
+        if (replay.active) {
+            position.fromArray(replay.positionTexture.image.data, index * 4);
+            velocity.fromArray(replay.velocityTexture.image.data, index * 4);
+            return Math.round(replay.positionTexture.image.data[index * 4 + 3]);
+        }
+        const x = index % textureWidth;
+        const y = Math.floor(index / textureWidth);
+        const positionTarget = gpuCompute.getCurrentRenderTarget(positionVariable);
+        const velocityTarget = gpuCompute.getCurrentRenderTarget(velocityVariable);
+        const store = (time, frame) => {
+            reader.position.fromArray(reader.positionTexel);
+            reader.species = Math.round(reader.positionTexel[3]);
+            reader.velocity.fromArray(reader.velocityTexel);
+            reader.time = time;
+            reader.frame = frame;
+        };
+
+        if (reader.index !== index || reader.time > simulationTime) {
+            // A new boid (or a restart): one synchronous read to start from
+            reader.index = index;
+            renderer.readRenderTargetPixels(positionTarget, x, y, 1, 1, reader.positionTexel);
+            renderer.readRenderTargetPixels(velocityTarget, x, y, 1, 1, reader.velocityTexel);
+            store(simulationTime, simulationFrame);
+        } else if (!reader.pending && reader.frame !== simulationFrame) {
+            reader.pending = true;
+            const [time, frame] = [simulationTime, simulationFrame];
+            Promise.all([
+                renderer.readRenderTargetPixelsAsync(positionTarget, x, y, 1, 1, reader.positionTexel),
+                renderer.readRenderTargetPixelsAsync(velocityTarget, x, y, 1, 1, reader.velocityTexel)
+            ]).then(() => {
+                if (reader.index === index && time <= simulationTime) store(time, frame);
+            }).catch(error => console.warn('Could not read boid:', error)).finally(() => {
+                reader.pending = false;
+            });
+        }
+
+        // Carry the last read on to the moment the boids are drawn at
+        const shownTime = simulationTime - (1 - birdUniforms.birdInterpolation.value) / PARAMS.simulationRate;
+        position.copy(reader.position).addScaledVector(reader.velocity, shownTime - reader.time);
+        velocity.copy(reader.velocity);
+        return reader.species;
+    }
+
+    // Centroid of the flock, or of the boids in the most crowded cell of a coarse grid.
+    // Only recomputed when there is a new snapshot of the flock.
+    function flockCenter(target, largestCluster) {
+        const { positions, velocities } = replay.active ? replayFlock() : getFlockState();
+        const snapshot = `${replay.active ? replay.time : flockState.time}:${largestCluster}`;
+        if (snapshot === cameraRig.centerSnapshot) {
+            target.copy(cameraRig.center);
+            return;
+        }
+        cameraRig.centerSnapshot = snapshot;
+
+        let cluster = -1;
+        let density = null;
+        if (largestCluster) {
+            density = buildDensityGrid({ positions, velocities }, Math.max(PARAMS.cohesionDistance * 2, 1));
+            cluster = 0;
+            for (let c = 1; c < density.counts.length; c++) {
+                if (density.counts[c] > density.counts[cluster]) cluster = c;
+            }
+        }
+
+        target.set(0, 0, 0);
+        let count = 0;
+        for (let i = 0, k = 0; k < positions.length; i++, k += 4) {
+            if (velocities[k + 3] <= 0) continue; // Dead
+            if (cluster !== -1 && density.cells[i] !== cluster) continue;
+            target.x += positions[k];
+            target.y += positions[k + 1];
+            target.z += positions[k + 2];
+            count++;
+        }
+        if (count > 0) target.divideScalar(count);
+        cameraRig.center.copy(target);
+    }
+
+    // Rebuild the dolly spline from PARAMS.cameraPathPoints
+    function updateCameraPath() {
+        const points = PARAMS.cameraPathPoints
+            .filter(point => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite))
+            .map(point => new THREE.Vector3(...point));
+        cameraRig.curve = points.length > 1 ? new THREE.CatmullRomCurve3(points, true, 'centripetal') : null;
+    }
+
+    function addCameraPathPoint() {
+        PARAMS.cameraPathPoints.push(camera.position.toArray().map(v => Math.round(v * 10) / 10));
+        updateCameraPath();
+        simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+    }
+
+    function clearCameraPath() {
+        PARAMS.cameraPathPoints = [];
+        updateCameraPath();
+        simulation.dispatchEvent({ type: 'paramsChanged', params: serializeParams() });
+    }
+
+    // --- Animation Loop ---
+
+    // One frame: advance by frameDelta seconds of wall time (clamped, except for clip
+    // frames, which must advance by exactly 1/fps) and render
+    function animate(frameDelta = clock.getDelta()) {
+        if (!clip.active) frameDelta = Math.min(frameDelta, 0.1); // Clamp long pauses
+
+        if (replay.active) { // A loaded recording drives the birds instead of the simulation
+            updateReplay(frameDelta);
+            updateCamera(frameDelta);
+            updateInspector();
+            writeTrailSample(replay.positionTexture);
+            composer.render();
+            stats.update();
+            return;
+        }
+
+        const frameTime = PARAMS.fixedTimestep && !clip.active ? FIXED_TIMESTEP : frameDelta; // Clips feed one output frame
+        const delta = frameTime * PARAMS.timeScale; // Apply time scale
+
+        // Run whole steps of 1/simulationRate s whatever the frame rate; the remainder
+        // waits for the next frame and sets how far between steps the boids are drawn
+        const stepDelta = 1 / PARAMS.simulationRate;
+        const maxBacklog = stepDelta * MAX_STEPS_PER_FRAME; // Fixed, so slow frames can't snowball
+        const dropped = delta > 0 ? Math.max(accumulator + delta - maxBacklog, 0) / delta : 0;
+        timing.droppedShare = THREE.MathUtils.lerp(timing.droppedShare, dropped, 0.05);
+        timing.dropped = Math.round(timing.droppedShare * 100);
+        accumulator = Math.min(accumulator + delta, maxBacklog);
+        const steps = Math.floor(accumulator / stepDelta + 1e-6); // Tolerate rounding in summed deltas
+        accumulator = Math.max(accumulator - steps * stepDelta, 0);
+        for (let i = 0; i < steps; i++) {
+            if (i === steps - 1) savePreviousPositions();
+            for (let j = 0; j < PARAMS.substeps; j++) {
+                simulateStep(stepDelta / PARAMS.substeps);
+            }
+            writeTrailSample(gpuCompute.getCurrentRenderTarget(positionVariable).texture);
+        }
+
+        if (PARAMS.showMetrics) {
+            updateMetrics(frameDelta);
+        }
+
+        // Update Instanced Mesh
+        updateBirdInstances();
+
+        // Move the camera to the freshly simulated boids
+        updateCamera(frameDelta);
+        if (steps > 0) inspector.stale = true;
+        updateInspector();
+
+        // Render Scene with Post-Processing
+        composer.render();
+
+        stats.update();
+        simulation.dispatchEvent({ type: 'frame', time: simulationTime, frame: simulationFrame, delta: steps * stepDelta });
+    }
+
+    // One compute pass of the flock and everything that moves with it
+    function simulateStep(delta) {
+        simulationTime += delta;
+
+        updateAttractorsPredators(delta, simulationTime);
+        updatePointerTools(delta);
+
+        // Update GPU Compute Uniforms
+        velocityUniforms["frame"].value = simulationFrame++;
+        velocityUniforms["delta"].value = delta;
+        velocityUniforms["turbulencePhase"].value += delta * PARAMS.turbulenceEvolution;
+        positionUniforms["delta"].value = delta;
+        positionUniforms["textureVelocityNext"].value = gpuCompute.getAlternateRenderTarget(velocityVariable).texture; // Where the velocity pass writes
+
+        // Life cycle: a new pairing of free slots with parents each step (a hash of the
+        // step, so seeded runs stay reproducible), and this step's kills
+        const texels = textureWidth * textureHeight;
+        velocityUniforms["birthMask"].value = texels > 1 ? 1 + (Math.imul(simulationFrame, 0x9e3779b1) >>> 0) % (texels - 1) : 1;
+        const killList = velocityUniforms["killList"].value;
+        for (let i = 0; i < MAX_KILLS; i++) killList[i] = pendingKills[i] ?? -1;
+        pendingKills.length = 0;
+
+        // Run GPU Compute
+        if (PARAMS.neighborSearch === 'grid' || PARAMS.colorMode === COLOR_MODES['Local Density']) {
+            updateSpatialGrid(); // Also read by the bird shader for Local Density
+        }
+        gpuCompute.compute();
+
+        if (recorder.active) {
+            updateRecorder(delta);
+        }
+        if (exporter.active) {
+            updateExporter(delta);
+        }
+    }
+
+    // --- Record & Replay ---
+    // A recording is a sequence of chunks, each a four-letter type, a byte length and
+    // a payload, after the magic and version:
+    //   HEAD  JSON header (boid count, quantisation scales, PARAMS at the start)
+    //   FRAM  u32 index, f32 time, u32 flags (1 = keyframe), then a deflated payload of
+    //         Float32 food/predator state, Int16 positions and velocities (one plane per
+    //         axis) and Uint8 species ids (RECORD_DEAD for dead boids).
+    // Positions and velocities are quantised to 16 bits; non-keyframes store the
+    // difference from the previous frame, which deflates far better.
+
+    function startRecording() {
+        recorder.active = true;
+        recorder.frames = [];
+        recorder.previous = null;
+        recorder.elapsed = Infinity; // Sample the first frame straight away
+        recorder.time = 0;
+        recorder.params = serializeParams();
+        recorder.positionScale = PARAMS.bounds / 32767; // Room for the bounds to double while recording
+        recorder.velocityScale = PARAMS.maxSpeed * 4 / 32767;
+    }
+
+    function stopRecording() {
+        recorder.active = false;
+    }
+
+    // Called after each compute step while recording
+    function updateRecorder(delta) {
+        if (recorder.frames.length > 0) recorder.time += delta;
+        recorder.elapsed += delta;
+        if (recorder.elapsed < 1 / PARAMS.recordRate) return;
+        recorder.elapsed = 0;
+        recorder.frames.push(encodeRecordingFrame(getFlockState(0)));
+    }
+
+    function encodeRecordingFrame(state) {
+        const index = recorder.frames.length;
+        const keyframe = index % RECORD_KEYFRAME_INTERVAL === 0;
+        const sourceBytes = (MAX_FOOD + MAX_PREDATORS) * RECORD_SOURCE_STRIDE * 4;
+        const payload = new Uint8Array(sourceBytes + numBirds * 13);
+
+        // Food and predators
+        const sources = new Float32Array(payload.buffer, 0, (MAX_FOOD + MAX_PREDATORS) * RECORD_SOURCE_STRIDE);
+        foodSources.forEach((food, i) => {
+            const o = i * RECORD_SOURCE_STRIDE;
+            food.position.toArray(sources, o);
+            sources[o + 3] = food.amount;
+            sources[o + 4] = food.active ? 1 : 0;
+            sources[o + 5] = food.dropped ? 1 : 0;
+            sources[o + 6] = food.depleted ? 1 : 0;
+        });
+        predatorSources.forEach((pred, i) => {
+            const o = (MAX_FOOD + i) * RECORD_SOURCE_STRIDE;
+            pred.position.toArray(sources, o);
+            sources[o + 3] = pred.active ? 1 : 0;
+            pred.velocity.toArray(sources, o + 4);
+        });
+
+        // Boids, quantised and (between keyframes) delta-encoded
+        const quantized = new Int16Array(numBirds * 6);
+        for (let i = 0; i < numBirds; i++) {
+            for (let c = 0; c < 3; c++) {
+                quantized[c * numBirds + i] = THREE.MathUtils.clamp(Math.round(state.positions[i * 4 + c] / recorder.positionScale), -32767, 32767);
+                quantized[(c + 3) * numBirds + i] = THREE.MathUtils.clamp(Math.round(state.velocities[i * 4 + c] / recorder.velocityScale), -32767, 32767);
+            }
+        }
+        const deltas = new Int16Array(payload.buffer, sourceBytes, numBirds * 6);
+        for (let k = 0; k < deltas.length; k++) {
+            deltas[k] = keyframe ? quantized[k] : quantized[k] - recorder.previous[k]; // Wraps like the decoder's sum
+        }
+        recorder.previous = quantized;
+
+        const species = new Uint8Array(payload.buffer, sourceBytes + numBirds * 12, numBirds);
+        for (let i = 0; i < numBirds; i++) species[i] = state.velocities[i * 4 + 3] > 0 ? state.positions[i * 4 + 3] : RECORD_DEAD;
+
+        return { index, time: recorder.time, keyframe, data: deflateSync(payload) };
+    }
+
+    function recordingChunk(type, payload) {
+        const chunk = new Uint8Array(8 + payload.byteLength);
+        const view = new DataView(chunk.buffer);
+        for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+        view.setUint32(4, payload.byteLength, true);
+        chunk.set(payload, 8);
+        return chunk;
+    }
+
+    function saveRecording() {
+        if (recorder.frames.length === 0) {
+            console.warn('Nothing recorded yet.');
+            return;
+        }
+        const header = {
+            version: RECORDING_VERSION,
+            count: numBirds,
+            maxFood: MAX_FOOD,
+            maxPredators: MAX_PREDATORS,
+            keyframeInterval: RECORD_KEYFRAME_INTERVAL,
+            recordRate: PARAMS.recordRate,
+            positionScale: recorder.positionScale,
+            velocityScale: recorder.velocityScale,
+            seed: PARAMS.seed,
+            params: recorder.params
+        };
+
+        const start = new Uint8Array(8);
+        for (let i = 0; i < 4; i++) start[i] = RECORDING_MAGIC.charCodeAt(i);
+        new DataView(start.buffer).setUint32(4, RECORDING_VERSION, true);
+
+        const parts = [start, recordingChunk('HEAD', new TextEncoder().encode(JSON.stringify(header)))];
+        for (const frame of recorder.frames) {
+            const payload = new Uint8Array(12 + frame.data.byteLength);
+            const view = new DataView(payload.buffer);
+            view.setUint32(0, frame.index, true);
+            view.setFloat32(4, frame.time, true);
+            view.setUint32(8, frame.keyframe ? 1 : 0, true);
+            payload.set(frame.data, 12);
+            parts.push(recordingChunk('FRAM', payload));
+        }
+
+        downloadBlob(new Blob(parts, { type: 'application/octet-stream' }), `flock-${PARAMS.seed}.boids`);
+    }
+
+    function parseRecording(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const text = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+        if (text(0, 4) !== RECORDING_MAGIC) throw new Error('not a flock recording');
+        if (view.getUint32(4, true) > RECORDING_VERSION) throw new Error('recording is from a newer version');
+
+        let header = null;
+        const frames = [];
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const type = text(offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            const payload = bytes.subarray(offset + 8, offset + 8 + length);
+            if (type === 'HEAD') {
+                header = JSON.parse(new TextDecoder().decode(payload));
+            } else if (type === 'FRAM') {
+                frames.push({
+                    index: view.getUint32(offset + 8, true),
+                    time: view.getFloat32(offset + 12, true),
+                    keyframe: view.getUint32(offset + 16, true) === 1,
+                    data: payload.subarray(12)
+                });
+            } // Unknown chunks are skipped
+            offset += 8 + length;
+        }
+        if (!header || frames.length === 0) throw new Error('recording has no header or frames');
+        return { header, frames };
+    }
+
+    function loadRecording() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.boids';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const { header, frames } = parseRecording(await file.arrayBuffer());
+                if (header.count > MAX_FLOCK_SIZE || header.maxFood !== MAX_FOOD || header.maxPredators !== MAX_PREDATORS) {
+                    throw new Error('recorded with limits this page does not support');
+                }
+                startReplay(header, frames);
+            } catch (error) {
+                console.warn(`Could not load ${file.name}:`, error);
+            }
+        });
+        input.click();
+    }
+
+    function startReplay(header, frames) {
+        if (replay.active) exitReplay();
+        if (recorder.active) stopRecording();
+        const state = getFlockState(0);
+        replay.restore = { params: serializeParams(), positions: state.positions.slice(), velocities: state.velocities.slice() };
+        header.params.flockSize = header.count; // Recordings from before the size was a parameter
+        applyParams(header.params); // Reproduce the recorded look (and flock size) until exitReplay()
+
+        replay.positionTexture?.dispose();
+        replay.velocityTexture?.dispose();
+        const texels = textureWidth * textureHeight;
+        replay.positionTexture = new THREE.DataTexture(new Float32Array(texels * 4), textureWidth, textureHeight, THREE.RGBAFormat, THREE.FloatType);
+        replay.velocityTexture = new THREE.DataTexture(new Float32Array(texels * 4), textureWidth, textureHeight, THREE.RGBAFormat, THREE.FloatType);
+        Object.assign(replay, {
+            active: true,
+            playing: true,
+            time: 0,
+            duration: frames[frames.length - 1].time,
+            header,
+            frames,
+            frameA: null,
+            frameB: null
+        });
+        resetTrails();
+        const [playing, time] = replay.controllers;
+        time.max(replay.duration);
+        replay.controllers.forEach(c => c.show());
+        playing.updateDisplay();
+        recordFolder.open();
+    }
+
+    function exitReplay() {
+        replay.active = false;
+        replay.frames = [];
+        replay.frameA = replay.frameB = null;
+        replay.controllers.forEach(c => c.hide());
+
+        // Back to the settings and flock from before the replay
+        const { params, positions, velocities } = replay.restore;
+        replay.restore = null;
+        applyParams(params);
+        writeFlockState(positions, velocities);
+
+        // Put the markers back where the (paused) simulation has them
+        foodSources.forEach(food => {
+            food.visual.position.copy(food.position);
+            updateFoodVisual(food);
+        });
+        predatorSources.forEach(pred => {
+            pred.visual.position.copy(pred.position);
+            pred.visual.lookAt(pred.position.clone().add(pred.velocity));
+        });
+        updateSourceVisibility();
+        resetTrails();
+        inspector.stale = true;
+        clock.getDelta(); // Don't count the replay as one long simulation step
+    }
+
+    // Rebuild the quantised state of frame index, stepping on from base when it lies
+    // between the frame's keyframe and the frame itself
+    function decodeReplayFrame(index, base) {
+        const count = replay.header.count;
+        const sourceBytes = (MAX_FOOD + MAX_PREDATORS) * RECORD_SOURCE_STRIDE * 4;
+
+        let start = index;
+        while (start > 0 && !replay.frames[start].keyframe) start--;
+        let quantized;
+        if (base && base.index >= start && base.index < index) {
+            quantized = base.quantized.slice();
+            start = base.index + 1;
+        } else {
+            quantized = new Int16Array(count * 6);
+        }
+
+        let payload;
+        for (let j = start; j <= index; j++) {
+            payload = inflateSync(replay.frames[j].data);
+            const deltas = new Int16Array(payload.buffer, payload.byteOffset + sourceBytes, count * 6);
+            if (replay.frames[j].keyframe) {
+                quantized.set(deltas);
+            } else {
+                for (let k = 0; k < deltas.length; k++) quantized[k] += deltas[k];
+            }
+        }
+
+        return {
+            index,
+            quantized,
+            sources: new Float32Array(payload.buffer.slice(payload.byteOffset, payload.byteOffset + sourceBytes)),
+            species: payload.slice(sourceBytes + count * 12, sourceBytes + count * 13)
+        };
+    }
+
+    function updateReplay(delta) {
+        const frames = replay.frames;
+        if (replay.playing) {
+            replay.time += delta * PARAMS.replaySpeed;
+            if (replay.time >= replay.duration) {
+                replay.time = replay.duration;
+                replay.playing = false;
+                replay.controllers[0].updateDisplay();
+            }
+        }
+
+        // Last frame at or before the replay time
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (frames[mid].time <= replay.time) low = mid;
+            else high = mid - 1;
+        }
+        const next = Math.min(low + 1, frames.length - 1);
+
+        if (replay.frameA?.index !== low) {
+            replay.frameA = replay.frameB?.index === low ? replay.frameB : decodeReplayFrame(low, replay.frameA);
+        }
+        if (replay.frameB?.index !== next) {
+            replay.frameB = next === low ? replay.frameA : decodeReplayFrame(next, replay.frameA);
+        }
+
+        const span = frames[next].time - frames[low].time;
+        const t = span > 0 ? THREE.MathUtils.clamp((replay.time - frames[low].time) / span, 0, 1) : 0;
+        writeReplayTextures(replay.frameA, replay.frameB, t);
+        showReplaySources(t < 0.5 ? replay.frameA.sources : replay.frameB.sources);
+
+        birdUniforms.texturePosition.value = replay.positionTexture;
+        birdUniforms.textureVelocity.value = replay.velocityTexture;
+        birdUniforms.birdInterpolation.value = 1.0; // Already interpolated between recorded frames
+    }
+
+    // The replayed frame in the layout of getFlockState()
+    function replayFlock() {
+        return {
+            positions: replay.positionTexture.image.data.subarray(0, numBirds * 4),
+            velocities: replay.velocityTexture.image.data.subarray(0, numBirds * 4)
+        };
+    }
+
+    // Interpolate two decoded frames into the textures the bird material reads
+    function writeReplayTextures(a, b, t) {
+        const { count, positionScale, velocityScale } = replay.header;
+        const jump = replay.header.params.bounds / 2; // Larger steps are wrap-arounds, not motion
+        const positions = replay.positionTexture.image.data;
+        const velocities = replay.velocityTexture.image.data;
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < 3; c++) {
+                const k = c * count + i;
+                const pa = a.quantized[k] * positionScale;
+                const pb = b.quantized[k] * positionScale;
+                positions[i * 4 + c] = Math.abs(pb - pa) > jump ? pb : pa + (pb - pa) * t;
+                const va = a.quantized[k + count * 3] * velocityScale;
+                const vb = b.quantized[k + count * 3] * velocityScale;
+                velocities[i * 4 + c] = va + (vb - va) * t;
+            }
+            const dead = b.species[i] === RECORD_DEAD;
+            positions[i * 4 + 3] = dead ? 0 : b.species[i];
+            velocities[i * 4 + 3] = dead ? 0 : 1;
+        }
+        replay.positionTexture.needsUpdate = true;
+        replay.velocityTexture.needsUpdate = true;
+    }
+
+    function showReplaySources(sources) {
+        const lookTarget = new THREE.Vector3();
+        foodSources.forEach((food, i) => {
+            const o = i * RECORD_SOURCE_STRIDE;
+            food.visual.position.fromArray(sources, o);
+            food.visual.visible = (sources[o + 4] === 1 || sources[o + 6] === 1) && (PARAMS.showFood || sources[o + 5] === 1);
+            updateFoodVisual(food, sources[o + 3]);
+        });
+        predatorSources.forEach((pred, i) => {
+            const o = (MAX_FOOD + i) * RECORD_SOURCE_STRIDE;
+            pred.visual.position.fromArray(sources, o);
+            pred.visual.visible = sources[o + 3] === 1 && PARAMS.showSources;
+            pred.visual.lookAt(lookTarget.fromArray(sources, o + 4).add(pred.visual.position));
+        });
+    }
+
+    // --- Data Export ---
+    // Snapshots or time windows of the flock for offline analysis. Every format carries
+    // the simulated time, frame number and boid index of each value; the PARAMS in
+    // effect go in the JSON lines header or, for CSV and .npy, a sidecar JSON file.
+
+    // Parse "0-99, 512, 1000-1999" into sorted, unique boid indices (null for all boids)
+    function parseIndexList(text) {
+        if (text.trim() === '') return null;
+        const indices = new Set();
+        for (const token of text.split(',')) {
+            const match = token.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) {
+                console.warn(`Ignoring boid index "${token.trim()}"`);
+                continue;
+            }
+            const first = parseInt(match[1], 10);
+            const last = Math.min(match[2] === undefined ? first : parseInt(match[2], 10), numBirds - 1);
+            for (let i = first; i <= last; i++) indices.add(i);
+        }
+        return Int32Array.from([...indices].sort((a, b) => a - b));
+    }
+
+    // Copy the chosen boids out of the flock readback, EXPORT_COLUMNS values per boid
+    function captureExportSample(indices) {
+        const state = getFlockState(0);
+        const count = indices ? indices.length : numBirds;
+        const values = new Float32Array(count * EXPORT_COLUMNS.length);
+        for (let n = 0; n < count; n++) {
+            const i = indices ? indices[n] : n;
+            const o = n * EXPORT_COLUMNS.length;
+            values[o + 0] = state.positions[i * 4 + 0];
+            values[o + 1] = state.positions[i * 4 + 1];
+            values[o + 2] = state.positions[i * 4 + 2];
+            values[o + 3] = state.velocities[i * 4 + 0];
+            values[o + 4] = state.velocities[i * 4 + 1];
+            values[o + 5] = state.velocities[i * 4 + 2];
+            values[o + 6] = state.positions[i * 4 + 3];
+        }
+        return { time: simulationTime, frame: simulationFrame, values };
+    }
+
+    function exportSnapshot() {
+        const indices = parseIndexList(PARAMS.exportIndices);
+        writeExport([captureExportSample(indices)], indices);
+    }
+
+    function startExportWindow() {
+        exporter.active = true;
+        exporter.indices = parseIndexList(PARAMS.exportIndices);
+        exporter.samples = [];
+        exporter.elapsed = Infinity; // Take the first sample straight away
+        exporter.remaining = PARAMS.exportDuration;
+    }
+
+    // Called after each compute step during a time-window export
+    function updateExporter(delta) {
+        exporter.elapsed += delta;
+        if (exporter.elapsed >= PARAMS.exportInterval) {
+            exporter.elapsed = 0;
+            exporter.samples.push(captureExportSample(exporter.indices));
+        }
+        exporter.remaining = Math.max(exporter.remaining - delta, 0);
+        if (exporter.remaining === 0) {
+            finishExport();
+            exporter.button.name('Export Time Window');
+        }
+    }
+
+    function finishExport() {
+        exporter.active = false;
+        exporter.remaining = 0;
+        if (exporter.samples.length > 0) writeExport(exporter.samples, exporter.indices);
+        exporter.samples = [];
+    }
+
+    function writeExport(samples, indices) {
+        const boids = indices ? Array.from(indices) : Array.from({ length: numBirds }, (_, i) => i);
+        const meta = {
+            columns: EXPORT_COLUMNS,
+            boidCount: boids.length,
+            sampleCount: samples.length,
+            times: samples.map(sample => sample.time),
+            frames: samples.map(sample => sample.frame),
+            indices: boids,
+            seed: PARAMS.seed,
+            params: serializeParams()
+        };
+        const name = `flock-${PARAMS.seed}-${simulationFrame}`;
+
+        if (PARAMS.exportFormat === 'jsonl') {
+            downloadBlob(new Blob(exportJsonLines(samples, meta), { type: 'application/x-ndjson' }), `${name}.jsonl`);
+            return;
+        }
+        if (PARAMS.exportFormat === 'npy') {
+            downloadBlob(new Blob(exportNpy(samples, boids.length), { type: 'application/octet-stream' }), `${name}.npy`);
+        } else {
+            downloadBlob(new Blob(exportCsv(samples, boids), { type: 'text/csv' }), `${name}.csv`);
+        }
+        downloadBlob(new Blob([JSON.stringify(meta, null, 2)], { type: 'application/json' }), `${name}.json`);
+    }
+
+    // One row per boid per sample
+    function exportCsv(samples, boids) {
+        const parts = [`time,frame,index,${EXPORT_COLUMNS.join(',')}\n`];
+        for (const sample of samples) {
+            const rows = [];
+            boids.forEach((index, n) => {
+                const values = sample.values.subarray(n * EXPORT_COLUMNS.length, (n + 1) * EXPORT_COLUMNS.length);
+                rows.push(`${sample.time.toFixed(4)},${sample.frame},${index},${values.join(',')}`);
+            });
+            parts.push(rows.join('\n') + '\n');
+        }
+        return parts;
+    }
+
+    // A header line (everything but the sample times), then one line per sample with the
+    // values of every exported boid flattened in index order
+    function exportJsonLines(samples, meta) {
+        // Each sample line carries its own time and frame, so the header leaves out those lists
+        const { columns, boidCount, sampleCount, indices, seed, params } = meta;
+        const parts = [JSON.stringify({ type: 'header', columns, boidCount, sampleCount, indices, seed, params }) + '\n'];
+        for (const sample of samples) {
+            parts.push(JSON.stringify({ type: 'sample', time: sample.time, frame: sample.frame, values: Array.from(sample.values) }) + '\n');
+        }
+        return parts;
+    }
+
+    // float32 array of shape (samples, boids, columns) in NumPy's .npy v1.0 layout
+    function exportNpy(samples, boidCount) {
+        const shape = `(${samples.length}, ${boidCount}, ${EXPORT_COLUMNS.length})`;
+        let header = `{'descr': '<f4', 'fortran_order': False, 'shape': ${shape}, }`;
+        const unpadded = 10 + header.length + 1; // Magic, version and length, then the header and its newline
+        header += ' '.repeat((64 - unpadded % 64) % 64) + '\n';
+
+        const preamble = new Uint8Array(10 + header.length);
+        preamble.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+        new DataView(preamble.buffer).setUint16(8, header.length, true);
+        for (let i = 0; i < header.length; i++) preamble[10 + i] = header.charCodeAt(i);
+
+        return [preamble, ...samples.map(sample => sample.values)];
+    }
+
+    // --- Flock Metrics ---
+    // Order parameters of the whole flock, computed on the CPU from a throttled
+    // readback (every metricsInterval seconds) and charted in an overlay.
+
+    function initMetricsOverlay() {
+        metrics.dom = document.createElement('div');
+        Object.assign(metrics.dom.style, {
+            position: 'absolute', bottom: '10px', left: '10px', padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.6)', color: 'white', font: '11px monospace',
+            display: PARAMS.showMetrics ? '' : 'none'
+        });
+        for (const { key, label } of METRICS) {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            const value = document.createElement('span');
+            const chart = document.createElement('canvas');
+            Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+            Object.assign(name.style, { width: '90px' });
+            Object.assign(value.style, { width: '60px', textAlign: 'right' });
+            name.textContent = label;
+            chart.width = METRICS_HISTORY;
+            chart.height = 20;
+            row.append(name, value, chart);
+            metrics.dom.appendChild(row);
+            metrics.rows[key] = { value, chart };
+            metrics.history[key] = [];
+        }
+        container.appendChild(metrics.dom);
+    }
+
+    function updateMetrics(delta) {
+        metrics.elapsed += delta;
+        if (!metrics.job) {
+            if (metrics.pending || metrics.elapsed < PARAMS.metricsInterval) return;
+            metrics.elapsed = 0;
+            readMetricsSnapshot();
+            return;
+        }
+
+        // The computation is spread over frames so the frame time stays flat
+        const deadline = performance.now() + METRICS_FRAME_BUDGET;
+        let step;
+        do {
+            step = metrics.job.next();
+        } while (!step.done && performance.now() < deadline);
+        if (!step.done) return;
+        metrics.job = null;
+
+        const values = step.value;
+        for (const { key, digits } of METRICS) {
+            const history = metrics.history[key];
+            history.push(values[key]);
+            if (history.length > METRICS_HISTORY) history.shift();
+            metrics.rows[key].value.textContent = values[key].toFixed(digits);
+            drawSparkline(metrics.rows[key].chart, history);
+        }
+    }
+
+    // Read the flock back without stalling the GPU, then start the metrics job on it
+    function readMetricsSnapshot() {
+        const texels = textureWidth * textureHeight;
+        if (metrics.positionBuffer?.length !== texels * 4) {
+            metrics.positionBuffer = new Float32Array(texels * 4);
+            metrics.velocityBuffer = new Float32Array(texels * 4);
+        }
+        metrics.pending = true;
+        const boidCount = numBirds;
+        Promise.all([
+            renderer.readRenderTargetPixelsAsync(gpuCompute.getCurrentRenderTarget(positionVariable), 0, 0, textureWidth, textureHeight, metrics.positionBuffer),
+            renderer.readRenderTargetPixelsAsync(gpuCompute.getCurrentRenderTarget(velocityVariable), 0, 0, textureWidth, textureHeight, metrics.velocityBuffer)
+        ]).then(() => {
+            if (numBirds !== boidCount) return; // Resized since
+            const { positions, velocities } = livingBoids({
+                positions: metrics.positionBuffer.subarray(0, boidCount * 4),
+                velocities: metrics.velocityBuffer.subarray(0, boidCount * 4)
+            });
+            metrics.job = computeFlockMetrics(positions, velocities);
+        }).catch(error => console.warn('Could not read the flock back for metrics:', error)).finally(() => {
+            metrics.pending = false;
+        });
+    }
+
+    function drawSparkline(canvas, history) {
+        const context = canvas.getContext('2d');
+        const min = Math.min(...history);
+        const range = Math.max(...history) - min || 1;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = '#8cf';
+        context.beginPath();
+        history.forEach((value, i) => {
+            const x = canvas.width - history.length + i;
+            const y = canvas.height - 1 - (value - min) / range * (canvas.height - 2);
+            if (i === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        });
+        context.stroke();
+    }
+
+    // Copies of the flock state without the dead boids (velocity.w, the energy, at 0)
+    function livingBoids(state) {
+        const alive = [];
+        for (let i = 0; i < numBirds; i++) {
+            if (state.velocities[i * 4 + 3] > 0) alive.push(i);
+        }
+        const positions = new Float32Array(alive.length * 4);
+        const velocities = new Float32Array(alive.length * 4);
+        alive.forEach((index, i) => {
+            positions.set(state.positions.subarray(index * 4, index * 4 + 4), i * 4);
+            velocities.set(state.velocities.subarray(index * 4, index * 4 + 4), i * 4);
+        });
+        return { positions, velocities };
+    }
+
+    // Polarisation |mean heading|, milling |mean (radial x heading)| about the centroid,
+    // mean speed, mean nearest-neighbour distance (sampled), radius of gyration, the
+    // number of connected components linking boids closer than cohesionDistance, the
+    // population and the share of boids in spatial grid cells fuller than gridCellCap
+    // (which the grid search only samples). Distances ignore the wrap-around of the
+    // toroidal boundary. This is a generator that yields regularly so updateMetrics() can
+    // run it in slices; it returns the metrics.
+    function* computeFlockMetrics(positions, velocities) {
+        const count = positions.length / 4;
+        if (count === 0) return Object.fromEntries(METRICS.map(({ key }) => [key, 0]));
+
+        const centroid = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            if ((i & 4095) === 0) yield;
+            centroid.x += positions[i * 4];
+            centroid.y += positions[i * 4 + 1];
+            centroid.z += positions[i * 4 + 2];
+        }
+        centroid.divideScalar(count);
+
+        const heading = new THREE.Vector3();
+        const radial = new THREE.Vector3();
+        const headingSum = new THREE.Vector3();
+        const millingSum = new THREE.Vector3();
+        let speedSum = 0;
+        let gyration = 0;
+        for (let i = 0; i < count; i++) {
+            if ((i & 2047) === 0) yield;
+            heading.fromArray(velocities, i * 4);
+            radial.fromArray(positions, i * 4).sub(centroid);
+            const speed = heading.length();
+            speedSum += speed;
+            gyration += radial.lengthSq();
+            if (speed > 0) {
+                heading.divideScalar(speed);
+                headingSum.add(heading);
+                if (radial.lengthSq() > 0) millingSum.add(radial.normalize().cross(heading));
+            }
+        }
+
+        // Neighbour queries on a hash grid whose cells are small enough that any two boids
+        // in the same cell are within the linking distance
+        const linkDistance = PARAMS.cohesionDistance;
+        const cellSize = linkDistance / Math.sqrt(3);
+        const reach = Math.ceil(linkDistance / cellSize); // Cells to search in each direction
+        const cellKey = (x, y, z) => ((x + 32768) * 65536 + (y + 32768)) * 65536 + (z + 32768);
+        const cellCoords = new Int32Array(count * 3);
+        const cells = new Map();
+        for (let i = 0; i < count; i++) {
+            if ((i & 2047) === 0) yield;
+            for (let c = 0; c < 3; c++) cellCoords[i * 3 + c] = Math.floor(positions[i * 4 + c] / cellSize);
+            const key = cellKey(cellCoords[i * 3], cellCoords[i * 3 + 1], cellCoords[i * 3 + 2]);
+            const members = cells.get(key);
+            if (members) members.push(i);
+            else cells.set(key, [i]);
+        }
+        const distanceSq = (i, j) => {
+            const dx = positions[i * 4] - positions[j * 4];
+            const dy = positions[i * 4 + 1] - positions[j * 4 + 1];
+            const dz = positions[i * 4 + 2] - positions[j * 4 + 2];
+            return dx * dx + dy * dy + dz * dz;
+        };
+
+        // Nearest neighbour, for a sample of boids (those with nobody in reach are skipped)
+        let nearestSum = 0;
+        let nearestCount = 0;
+        const step = Math.max(1, Math.floor(count / METRICS_NN_SAMPLES));
+        for (let i = 0; i < count; i += step) {
+            yield;
+            const cx = cellCoords[i * 3], cy = cellCoords[i * 3 + 1], cz = cellCoords[i * 3 + 2];
+            let best = linkDistance * linkDistance;
+            let found = false;
+            for (let dz = -reach; dz <= reach; dz++) {
+                for (let dy = -reach; dy <= reach; dy++) {
+                    for (let dx = -reach; dx <= reach; dx++) {
+                        for (const j of cells.get(cellKey(cx + dx, cy + dy, cz + dz)) ?? []) {
+                            if (j === i) continue;
+                            const d = distanceSq(i, j);
+                            if (d < best) {
+                                best = d;
+                                found = true;
+                            }
+                        }
+                    }
+                }
+            }
+            if (found) {
+                nearestSum += Math.sqrt(best);
+                nearestCount++;
+            }
+        }
+
+        // Clusters: union-find, with every cell a clique and neighbouring cells joined by
+        // their first linked pair
+        const parent = new Int32Array(count).map((_, i) => i);
+        const find = i => {
+            while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+            return i;
+        };
+        const linkSq = linkDistance * linkDistance;
+        yield;
+        for (const members of cells.values()) {
+            for (let m = 1; m < members.length; m++) parent[find(members[m])] = find(members[0]);
+        }
+        let visited = 0;
+        for (const [key, members] of cells) {
+            if (++visited % 64 === 0) yield;
+            const cx = cellCoords[members[0] * 3], cy = cellCoords[members[0] * 3 + 1], cz = cellCoords[members[0] * 3 + 2];
+            for (let dz = -reach; dz <= reach; dz++) {
+                for (let dy = -reach; dy <= reach; dy++) {
+                    for (let dx = -reach; dx <= reach; dx++) {
+                        const otherKey = cellKey(cx + dx, cy + dy, cz + dz);
+                        if (otherKey <= key) continue; // Each pair of cells once
+                        const others = cells.get(otherKey);
+                        if (!others || find(members[0]) === find(others[0])) continue;
+                        search: for (const i of members) {
+                            for (const j of others) {
+                                if (distanceSq(i, j) < linkSq) {
+                                    parent[find(j)] = find(i);
+                                    break search;
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        yield;
+        let clusters = 0;
+        for (let i = 0; i < count; i++) {
+            if (find(i) === i) clusters++;
+        }
+
+        yield;
+        let overflow = 0;
+        if (PARAMS.neighborSearch === 'grid') {
+            const grid = buildDensityGrid({ positions, velocities }, velocityUniforms["gridCellSize"].value);
+            for (let i = 0; i < count; i++) {
+                if (grid.counts[grid.cells[i]] > velocityUniforms["gridCellCap"].value) overflow++;
+            }
+        }
+
+        return {
+            polarization: headingSum.length() / count,
+            milling: millingSum.length() / count,
+            meanSpeed: speedSum / count,
+            nearestNeighbor: nearestCount > 0 ? nearestSum / nearestCount : 0,
+            extent: Math.sqrt(gyration / count),
+            clusters,
+            population: count,
+            gridOverflow: overflow / count
+        };
+    }
+
+    // Point the bird material at the latest simulation state
+    function updateBirdInstances() {
+        birdUniforms.texturePosition.value = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+        birdUniforms.textureVelocity.value = gpuCompute.getCurrentRenderTarget(velocityVariable).texture;
+        birdUniforms.texturePositionPrevious.value = previousPositionTarget.texture;
+        birdUniforms.birdInterpolation.value = PARAMS.interpolate ? accumulator * PARAMS.simulationRate : 1.0;
+    }
+
+    // Optional CPU copy of the flock for features that really need positions on the CPU.
+    // readRenderTargetPixels stalls the GPU, so the copy is refreshed at most once every
+    // maxAge seconds and the buffers are reused between reads.
+    function getFlockState(maxAge = PARAMS.readbackInterval) {
+        if (clock.elapsedTime - flockState.time < maxAge || flockState.frame === simulationFrame) {
+            return flockState;
+        }
+
+        const texels = textureWidth * textureHeight;
+        if (flockState.positionBuffer?.length !== texels * 4) {
+            flockState.positionBuffer = new Float32Array(texels * 4);
+            flockState.velocityBuffer = new Float32Array(texels * 4);
+        }
+        renderer.readRenderTargetPixels(gpuCompute.getCurrentRenderTarget(positionVariable), 0, 0, textureWidth, textureHeight, flockState.positionBuffer);
+        renderer.readRenderTargetPixels(gpuCompute.getCurrentRenderTarget(velocityVariable), 0, 0, textureWidth, textureHeight, flockState.velocityBuffer);
+        // Boids fill the texels in order, so the flock is the start of each buffer
+        flockState.positions = flockState.positionBuffer.subarray(0, numBirds * 4);
+        flockState.velocities = flockState.velocityBuffer.subarray(0, numBirds * 4);
+        flockState.time = clock.elapsedTime;
+        flockState.frame = simulationFrame;
+
+        return flockState;
+    }
+
+    // --- Offline Rendering ---
+    // Renders a clip frame by frame instead of in real time: each output frame advances
+    // the simulation (or a loaded replay) by exactly 1/fps and goes through the composer
+    // at the clip resolution, however long encoding takes. The on-screen canvas keeps its
+    // CSS size and shows the frames as they are made.
+
+    async function renderClip() {
+        if (clip.active) return;
+        if (PARAMS.clipFormat === 'webm' && typeof VideoEncoder === 'undefined') {
+            console.warn('WebM rendering needs WebCodecs (VideoEncoder), which this browser lacks; use the PNG sequence instead');
+            return;
+        }
+        const settings = { width: PARAMS.clipWidth, height: PARAMS.clipHeight, fps: PARAMS.clipFps, bitrate: PARAMS.clipBitrate * 1e6 };
+        const wasRunning = running;
+        stop();
+        clip.active = true;
+        clip.cancelled = false;
+        clip.frame = 0;
+        clip.frames = Math.max(1, Math.round(PARAMS.clipDuration * settings.fps));
+        updateClipProgress();
+
+        if (PARAMS.clipFromStart) {
+            if (replay.active) replay.time = 0;
+            else restartSimulation();
+        }
+        setViewSize(settings.width, settings.height, 1, false);
+
+        let writer;
+        try {
+            writer = PARAMS.clipFormat === 'webm' ? await createWebmWriter(settings) : createPngSequenceWriter();
+            for (; clip.frame < clip.frames && !clip.cancelled; clip.frame++) {
+                animate(1 / settings.fps);
+                await writer.addFrame(clip.frame); // Grabs the canvas before yielding
+                updateClipProgress();
+                await new Promise(resolve => setTimeout(resolve)); // Let the page repaint and Cancel be clicked
+            }
+            if (clip.cancelled) {
+                writer.cancel();
+            } else {
+                clip.label.textContent = 'Finishing clip...';
+                downloadBlob(await writer.finish(clip.frames), `flock-${PARAMS.seed}.${writer.extension}`);
+            }
+        } catch (error) {
+            console.error('Rendering the clip failed:', error);
+            writer?.cancel();
+        } finally {
+            clip.active = false;
+            clip.dom.style.display = 'none';
+        }
+        if (disposed) return;
+        onResize(); // Back to the container size
+        if (wasRunning) start();
+    }
+
+    // PNG frames are already compressed, so the zip just stores them
+    function createPngSequenceWriter() {
+        const chunks = [];
+        let failure = null;
+        const zip = new Zip((error, chunk) => {
+            if (error) failure = error;
+            else chunks.push(chunk);
+        });
+        return {
+            extension: 'zip',
+            async addFrame(index) {
+                if (failure) throw failure;
+                const blob = await new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png'));
+                const file = new ZipPassThrough(`frame_${String(index).padStart(5, '0')}.png`);
+                zip.add(file);
+                file.push(new Uint8Array(await blob.arrayBuffer()), true);
+            },
+            async finish() {
+                zip.end();
+                if (failure) throw failure;
+                return new Blob(chunks, { type: 'application/zip' });
+            },
+            cancel() {
+                zip.terminate();
+            }
+        };
+    }
+
+    // Encodes with WebCodecs (VP9, or VP8 where that is all there is) at exact frame
+    // timestamps, then muxes with writeWebm()
+    async function createWebmWriter({ width, height, fps, bitrate }) {
+        const config = { codec: 'vp09.00.10.08', width, height, bitrate, framerate: fps };
+        let codecId = 'V_VP9';
+        if (!(await VideoEncoder.isConfigSupported(config)).supported) {
+            config.codec = 'vp8';
+            codecId = 'V_VP8';
+        }
+        const chunks = [];
+        let failure = null;
+        const encoder = new VideoEncoder({
+            output: chunk => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+            },
+            error: error => { failure = error; }
+        });
+        encoder.configure(config);
+        const frameDuration = 1e6 / fps; // Microseconds
+        return {
+            extension: 'webm',
+            async addFrame(index) {
+                if (failure) throw failure;
+                const frame = new VideoFrame(renderer.domElement, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) });
+                encoder.encode(frame, { keyFrame: index % Math.round(fps * CLIP_KEYFRAME_INTERVAL) === 0 });
+                frame.close();
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 5)); // Don't queue up frames faster than they encode
+                }
+            },
+            async finish(frames) {
+                await encoder.flush();
+                encoder.close();
+                if (failure) throw failure;
+                return writeWebm(chunks, codecId, width, height, frames * 1000 / fps);
+            },
+            cancel() {
+                if (encoder.state !== 'closed') encoder.close();
+            }
+        };
+    }
+
+    function initClipOverlay() {
+        clip.dom = document.createElement('div');
+        Object.assign(clip.dom.style, {
+            position: 'absolute', bottom: '10px', right: '10px', padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.6)', color: 'white', font: '11px monospace',
+            display: 'none', alignItems: 'center', gap: '8px'
+        });
+        clip.label = document.createElement('span');
+        clip.progress = document.createElement('progress');
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => { clip.cancelled = true; });
+        clip.dom.append(clip.label, clip.progress, cancel);
+        container.appendChild(clip.dom);
+    }
+
+    function updateClipProgress() {
+        clip.dom.style.display = 'flex';
+        clip.label.textContent = `Rendering frame ${clip.frame} / ${clip.frames}`;
+        clip.progress.max = clip.frames;
+        clip.progress.value = clip.frame;
+    }
+
+    // --- Public API ---
+
+    function start() {
+        if (running || clip.active) return; // A clip render drives the frames itself
+        running = true;
+        clock.getDelta(); // Don't count the time spent stopped
+        renderer.setAnimationLoop(() => animate());
+    }
+
+    function stop() {
+        running = false;
+        renderer.setAnimationLoop(null);
+    }
+
+    // Advance by one frame of delta seconds (before timeScale) and render, e.g. while stopped
+    function step(delta = FIXED_TIMESTEP) {
+        animate(delta);
+    }
+
+    // Stop and release the renderer, GPU resources, GUI and DOM elements
+    function dispose() {
+        stop();
+        disposed = true;
+        clip.cancelled = true; // Ends a clip render at its next frame
+        resizeObserver.disconnect();
+        if (urlState) window.removeEventListener('hashchange', onHashChange);
+        if (recorder.active) stopRecording();
+        exporter.active = false;
+
+        disposeCompute();
+        disposeTrails();
+        replay.positionTexture?.dispose();
+        replay.velocityTexture?.dispose();
+        flowFieldTexture?.dispose();
+        scene.traverse(object => {
+            if (object.geometry && object.geometry !== BirdGeometry) object.geometry.dispose(); // BirdGeometry is shared
+            [object.material].flat().forEach(material => material?.dispose());
+        });
+        controls.dispose();
+        composer.dispose();
+        renderer.dispose();
+
+        gui.destroy();
+        renderer.domElement.remove();
+        stats.dom.remove();
+        metrics.dom.remove();
+        legend.dom.remove();
+        inspector.dom.remove();
+        clip.dom.remove();
+    }
+
+    function setParams(values) {
+        applyParams(JSON.parse(JSON.stringify(values)));
+    }
+
+    function getParams() {
+        return serializeParams();
+    }
+
+    init();
+    Object.assign(simulation, { start, stop, step, dispose, setParams, getParams, renderer, scene, camera, controls });
+
+    if (options.gui === false) gui.hide();
+    if (options.autoStart ?? true) start();
+
+    return simulation;
+}